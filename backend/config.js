@@ -0,0 +1,117 @@
+// backend/config.js
+const path = require('path');
+
+// Storage locations
+const videosDir = path.join(__dirname, 'videos');
+const uploadsDir = path.join(videosDir, 'uploads');
+
+// Detection model weights downloaded by `npm run fetch-models` from these
+// pinned sources (the search string is added to every file's URL)
+const modelsDir = process.env.MODELS_DIR || path.join(__dirname, 'vendor', 'models');
+const MODEL_SOURCES = {
+    'blazeface': {
+        url: 'https://tfhub.dev/tensorflow/tfjs-model/blazeface/1/default/1/model.json',
+        search: '?tfjs-format=file'
+    },
+    'coco-ssd': {
+        url: 'https://storage.googleapis.com/tfjs-models/savedmodel/ssdlite_mobilenet_v2/model.json',
+        search: ''
+    }
+};
+
+// Pinned copies of the pages' libraries, fonts and models, served under
+// /vendor so the app does not depend on a CDN: URL path -> directory
+const packageDir = name => path.dirname(require.resolve(`${name}/package.json`));
+const VENDOR_DIRS = {
+    'tfjs': path.join(packageDir('@tensorflow/tfjs'), 'dist'),
+    'blazeface': path.join(packageDir('@tensorflow-models/blazeface'), 'dist'),
+    'coco-ssd': path.join(packageDir('@tensorflow-models/coco-ssd'), 'dist'),
+    'face-api': path.join(packageDir('@vladmandic/face-api'), 'dist'),
+    'jspdf': path.join(packageDir('jspdf'), 'dist'),
+    'html2canvas': path.join(packageDir('html2canvas'), 'dist'),
+    // chart.js does not export its package.json; its main file is in dist/
+    'chartjs': path.dirname(require.resolve('chart.js')),
+    'fontawesome': packageDir('@fortawesome/fontawesome-free'),
+    'poppins': packageDir('@fontsource/poppins'),
+    'models/face-api': path.join(packageDir('@vladmandic/face-api'), 'model'),
+    'models': modelsDir
+};
+
+// HTML template rendered into report PDFs
+const pdfTemplatePath = path.join(__dirname, '../frontend/pdf-template.html');
+// Chrome or Chromium used to render PDFs. Nothing is downloaded at install
+// time; without this setting the installed stable Chrome is used.
+const CHROME_EXECUTABLE_PATH = process.env.PUPPETEER_EXECUTABLE_PATH || null;
+
+// Video upload limits
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const VIDEO_MIME_TYPES = {
+    'video/webm': 'webm',
+    'video/mp4': 'mp4'
+};
+
+// Authentication
+const ROLES = ['interviewer', 'reviewer', 'admin'];
+const SESSION_COOKIE = 'ig_session';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// Read a non-negative number from the environment, allowing 0
+function numberFromEnv(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && value >= 0 ? value : fallback;
+}
+
+// Days a deleted report stays in the trash before it is purged (0 keeps it
+// until it is deleted permanently)
+const TRASH_RETENTION_DAYS = numberFromEnv('TRASH_RETENTION_DAYS', 30);
+
+// Retention policy: recordings and reports are deleted this many days after
+// they were made. Disabled (0, keep them forever) unless configured, so an
+// upgrade never deletes existing data. Purged recordings keep their
+// database row as a record of the deletion.
+const VIDEO_RETENTION_DAYS = numberFromEnv('VIDEO_RETENTION_DAYS', 0);
+const REPORT_RETENTION_DAYS = numberFromEnv('REPORT_RETENTION_DAYS', 0);
+// Uploads that receive no chunk for this long are abandoned and removed
+const STALE_UPLOAD_HOURS = 24;
+
+// Storage limits for recordings: a quota on their total size (0 = no quota)
+// and the free disk space that must remain after each upload
+const STORAGE_QUOTA_BYTES = Math.floor(numberFromEnv('STORAGE_QUOTA_GB', 0) * 1024 * 1024 * 1024);
+const MIN_FREE_DISK_BYTES = numberFromEnv('MIN_FREE_DISK_MB', 500) * 1024 * 1024;
+
+// Webhooks: events that can be subscribed to, retry schedule after a failed
+// attempt (the delivery is marked failed once these run out) and request timeout
+const WEBHOOK_EVENTS = ['report.created', 'report.flagged', 'report.deleted', 'video.uploaded'];
+const WEBHOOK_RETRY_DELAYS_MS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 12 * 60 * 60].map(seconds => seconds * 1000);
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Origins allowed to call the API with credentials (comma separated)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+module.exports = {
+    videosDir,
+    uploadsDir,
+    pdfTemplatePath,
+    CHROME_EXECUTABLE_PATH,
+    modelsDir,
+    MODEL_SOURCES,
+    VENDOR_DIRS,
+    MAX_CHUNK_SIZE,
+    VIDEO_MIME_TYPES,
+    ROLES,
+    SESSION_COOKIE,
+    SESSION_TTL_MS,
+    CORS_ORIGINS,
+    TRASH_RETENTION_DAYS,
+    VIDEO_RETENTION_DAYS,
+    REPORT_RETENTION_DAYS,
+    STALE_UPLOAD_HOURS,
+    STORAGE_QUOTA_BYTES,
+    MIN_FREE_DISK_BYTES,
+    WEBHOOK_EVENTS,
+    WEBHOOK_RETRY_DELAYS_MS,
+    WEBHOOK_TIMEOUT_MS
+};
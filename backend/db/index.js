@@ -0,0 +1,54 @@
+// backend/db/index.js
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+const dataDir = path.join(__dirname, '..', 'data');
+const migrationsDir = path.join(__dirname, 'migrations');
+const dbPath = process.env.DB_PATH || path.join(dataDir, 'proctoring.db');
+
+if (!fs.existsSync(path.dirname(dbPath))) {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+}
+
+const db = new Database(dbPath);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+// Apply any migration files that have not been run against this database yet.
+// Migrations are plain .sql files applied in filename order, each in its own transaction.
+function runMigrations() {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            name TEXT PRIMARY KEY,
+            applied_at TEXT NOT NULL
+        )
+    `);
+
+    const applied = new Set(
+        db.prepare('SELECT name FROM schema_migrations').all().map(row => row.name)
+    );
+
+    const files = fs.readdirSync(migrationsDir)
+        .filter(file => file.endsWith('.sql'))
+        .sort();
+
+    const recordMigration = db.prepare(
+        'INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)'
+    );
+
+    files.forEach(file => {
+        if (applied.has(file)) return;
+
+        const sql = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
+        db.transaction(() => {
+            db.exec(sql);
+            recordMigration.run(file, new Date().toISOString());
+        })();
+        console.log(`Applied migration ${file}`);
+    });
+}
+
+runMigrations();
+
+module.exports = db;
@@ -0,0 +1,20 @@
+-- Reports produced at the end of each proctored interview
+CREATE TABLE reports (
+    id TEXT PRIMARY KEY,
+    timestamp TEXT NOT NULL,
+    candidate_name TEXT NOT NULL,
+    interview_duration TEXT NOT NULL,
+    start_time TEXT NOT NULL,
+    end_time TEXT NOT NULL,
+    look_away_count INTEGER NOT NULL DEFAULT 0,
+    no_face_count INTEGER NOT NULL DEFAULT 0,
+    multiple_faces_count INTEGER NOT NULL DEFAULT 0,
+    phones_detected INTEGER NOT NULL DEFAULT 0,
+    books_detected INTEGER NOT NULL DEFAULT 0,
+    devices_detected INTEGER NOT NULL DEFAULT 0,
+    integrity_score INTEGER NOT NULL,
+    events TEXT NOT NULL DEFAULT '[]'
+);
+
+CREATE INDEX idx_reports_timestamp ON reports (timestamp);
+CREATE INDEX idx_reports_candidate_name ON reports (candidate_name);
@@ -0,0 +1,15 @@
+-- Video recordings, uploaded in chunks while the interview is running
+CREATE TABLE videos (
+    id TEXT PRIMARY KEY,
+    filename TEXT NOT NULL UNIQUE,
+    mime_type TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'uploading',
+    chunk_count INTEGER NOT NULL DEFAULT 0,
+    size INTEGER NOT NULL DEFAULT 0,
+    checksum TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    completed_at TEXT
+);
+
+CREATE INDEX idx_videos_status ON videos (status);
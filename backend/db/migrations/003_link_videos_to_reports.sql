@@ -0,0 +1,5 @@
+-- Each recording belongs to the report produced by the same interview
+ALTER TABLE videos ADD COLUMN report_id TEXT REFERENCES reports (id) ON DELETE SET NULL;
+ALTER TABLE videos ADD COLUMN duration REAL;
+
+CREATE INDEX idx_videos_report_id ON videos (report_id);
@@ -0,0 +1,24 @@
+-- User accounts; role is one of interviewer, reviewer, admin
+CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+-- Login sessions; only a hash of the session token is stored
+CREATE TABLE sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_sessions_user_id ON sessions (user_id);
+CREATE INDEX idx_sessions_expires_at ON sessions (expires_at);
+
+-- Track who created each report and recording
+ALTER TABLE reports ADD COLUMN created_by TEXT REFERENCES users (id) ON DELETE SET NULL;
+ALTER TABLE videos ADD COLUMN created_by TEXT REFERENCES users (id) ON DELETE SET NULL;
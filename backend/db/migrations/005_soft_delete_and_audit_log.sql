@@ -0,0 +1,32 @@
+-- Deleted reports stay in the trash until they are restored or purged
+ALTER TABLE reports ADD COLUMN deleted_at TEXT;
+ALTER TABLE reports ADD COLUMN deleted_by TEXT REFERENCES users (id) ON DELETE SET NULL;
+
+CREATE INDEX idx_reports_deleted_at ON reports (deleted_at);
+
+-- Append-only record of who viewed, downloaded, changed or removed what
+CREATE TABLE audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    user_id TEXT,
+    username TEXT,
+    action TEXT NOT NULL,
+    resource_type TEXT NOT NULL,
+    resource_id TEXT,
+    ip_address TEXT,
+    details TEXT
+);
+
+CREATE INDEX idx_audit_log_timestamp ON audit_log (timestamp);
+CREATE INDEX idx_audit_log_resource ON audit_log (resource_type, resource_id);
+CREATE INDEX idx_audit_log_user_id ON audit_log (user_id);
+
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN
+    SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN
+    SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
@@ -0,0 +1,6 @@
+-- Recordings removed by the retention policy keep their row (status 'purged')
+-- as a record of when the file was deleted
+ALTER TABLE videos ADD COLUMN purged_at TEXT;
+
+CREATE INDEX idx_videos_completed_at ON videos (status, completed_at);
+CREATE INDEX idx_videos_updated_at ON videos (status, updated_at);
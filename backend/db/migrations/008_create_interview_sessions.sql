@@ -0,0 +1,26 @@
+-- Scheduled interviews. The join link carries a random token of which only a
+-- hash is stored; status is 'scheduled', 'in_progress', 'completed' or 'cancelled'
+CREATE TABLE interview_sessions (
+    id TEXT PRIMARY KEY,
+    candidate_name TEXT NOT NULL,
+    candidate_email TEXT NOT NULL,
+    position TEXT,
+    interviewer_id TEXT REFERENCES users (id) ON DELETE SET NULL,
+    scheduled_at TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'scheduled',
+    join_token_hash TEXT NOT NULL UNIQUE,
+    created_by TEXT REFERENCES users (id) ON DELETE SET NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    started_at TEXT,
+    completed_at TEXT
+);
+
+CREATE INDEX idx_interview_sessions_scheduled_at ON interview_sessions (scheduled_at);
+CREATE INDEX idx_interview_sessions_interviewer_id ON interview_sessions (interviewer_id, scheduled_at);
+
+-- The interview each report and recording was made for
+ALTER TABLE reports ADD COLUMN session_id TEXT REFERENCES interview_sessions (id) ON DELETE SET NULL;
+ALTER TABLE videos ADD COLUMN session_id TEXT REFERENCES interview_sessions (id) ON DELETE SET NULL;
+
+CREATE INDEX idx_reports_session_id ON reports (session_id);
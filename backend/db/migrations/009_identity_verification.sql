@@ -0,0 +1,5 @@
+-- Identity checks: the number of "identity mismatch" incidents (the face no
+-- longer matches the reference captured at the start) and a JSON summary of
+-- the verification (reference capture time, checks run, ID photo comparison)
+ALTER TABLE reports ADD COLUMN identity_mismatch_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE reports ADD COLUMN identity_verification TEXT;
@@ -0,0 +1,43 @@
+-- Named detection policies: the thresholds, intervals, prohibited items and
+-- score deductions used by the interview page. settings is a JSON object
+-- (see utils/validatePolicy.js). Built-in policies can be edited but not deleted.
+CREATE TABLE policies (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    description TEXT,
+    settings TEXT NOT NULL,
+    builtin INTEGER NOT NULL DEFAULT 0,
+    created_by TEXT REFERENCES users (id) ON DELETE SET NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+INSERT INTO policies (id, name, description, settings, builtin, created_at, updated_at) VALUES
+(
+    'standard', 'Standard', 'Default thresholds for most interviews',
+    '{"face":{"intervalMs":200,"lookAwayThreshold":0.12,"ratioThreshold":0.7,"lookAwaySeconds":2,"noFaceSeconds":8},' ||
+    '"objects":{"intervalMs":500,"minConfidence":0.6,"prohibitedItems":["cell phone","book","laptop","keyboard","mouse","remote"]},' ||
+    '"deductions":{"lookAwayCount":2,"noFaceCount":5,"multipleFacesCount":10,"identityMismatchCount":15,"phonesDetected":10,"booksDetected":8,"devicesDetected":7}}',
+    1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+),
+(
+    'strict', 'Strict', 'Faster detection and heavier deductions for high-stakes assessments',
+    '{"face":{"intervalMs":200,"lookAwayThreshold":0.1,"ratioThreshold":0.75,"lookAwaySeconds":1,"noFaceSeconds":4},' ||
+    '"objects":{"intervalMs":500,"minConfidence":0.5,"prohibitedItems":["cell phone","book","laptop","keyboard","mouse","remote","tv"]},' ||
+    '"deductions":{"lookAwayCount":3,"noFaceCount":8,"multipleFacesCount":15,"identityMismatchCount":25,"phonesDetected":15,"booksDetected":12,"devicesDetected":10}}',
+    1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+),
+(
+    'lenient', 'Lenient', 'Tolerates glances and peripherals, for conversational interviews',
+    '{"face":{"intervalMs":300,"lookAwayThreshold":0.15,"ratioThreshold":0.6,"lookAwaySeconds":5,"noFaceSeconds":15},' ||
+    '"objects":{"intervalMs":1000,"minConfidence":0.75,"prohibitedItems":["cell phone","book"]},' ||
+    '"deductions":{"lookAwayCount":1,"noFaceCount":3,"multipleFacesCount":8,"identityMismatchCount":15,"phonesDetected":8,"booksDetected":5,"devicesDetected":3}}',
+    1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+);
+
+-- The policy a scheduled interview runs with (the default policy when null)
+ALTER TABLE interview_sessions ADD COLUMN policy_id TEXT REFERENCES policies (id) ON DELETE SET NULL;
+
+-- Copy of the policy ({ id, name, settings }) a report was made with, kept
+-- as it was at the time so later edits do not change old reports
+ALTER TABLE reports ADD COLUMN policy TEXT;
@@ -0,0 +1,6 @@
+-- Version of the scoring rules (frontend/scoring.js) that computed each
+-- report's integrity score, and when. Existing reports were scored with version 1.
+ALTER TABLE reports ADD COLUMN scoring_version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE reports ADD COLUMN scored_at TEXT;
+
+UPDATE reports SET scored_at = timestamp;
@@ -0,0 +1,5 @@
+-- Incidents detected during the interview (frontend/incidents.js): one entry
+-- per continuous period with its type, start and end time, duration, peak
+-- confidence and offset into the recording. The counter columns are derived
+-- from them. Reports saved before incidents were recorded have none.
+ALTER TABLE reports ADD COLUMN incidents TEXT NOT NULL DEFAULT '[]';
@@ -0,0 +1,10 @@
+-- Prohibited items are tracked across frames and each one is a single
+-- incident. objects.graceSeconds is how long a tracked item may go undetected
+-- (hidden, or missed by the detector) before its incident ends.
+UPDATE policies SET settings = json_set(settings, '$.objects.graceSeconds',
+    CASE id WHEN 'strict' THEN 2 WHEN 'lenient' THEN 5 ELSE 3 END)
+WHERE id IN ('strict', 'standard', 'lenient');
+
+-- Custom policies get the standard value, keeping any they already have
+UPDATE policies SET settings = json_insert(settings, '$.objects.graceSeconds', 3)
+WHERE id NOT IN ('strict', 'standard', 'lenient');
@@ -0,0 +1,27 @@
+-- Audio incidents: sustained speech while the candidate should be silent,
+-- more than one voice, and background whispering
+ALTER TABLE reports ADD COLUMN speech_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE reports ADD COLUMN multiple_voices_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE reports ADD COLUMN whispering_count INTEGER NOT NULL DEFAULT 0;
+
+-- Audio settings of detection policies: whether the candidate must stay
+-- silent by default, how long speech and whispering must last to become an
+-- incident, and how far above the background noise a voice must be
+UPDATE policies SET settings = json_set(settings,
+    '$.audio', json(CASE id
+        WHEN 'strict' THEN '{"requireSilence":true,"speechSeconds":2,"whisperSeconds":2,"voiceMarginDb":10}'
+        WHEN 'lenient' THEN '{"requireSilence":false,"speechSeconds":5,"whisperSeconds":5,"voiceMarginDb":15}'
+        ELSE '{"requireSilence":false,"speechSeconds":3,"whisperSeconds":3,"voiceMarginDb":12}'
+    END),
+    '$.deductions.speechCount', CASE id WHEN 'strict' THEN 8 WHEN 'lenient' THEN 3 ELSE 5 END,
+    '$.deductions.multipleVoicesCount', CASE id WHEN 'strict' THEN 15 WHEN 'lenient' THEN 8 ELSE 10 END,
+    '$.deductions.whisperingCount', CASE id WHEN 'strict' THEN 12 WHEN 'lenient' THEN 5 ELSE 8 END)
+WHERE id IN ('strict', 'standard', 'lenient');
+
+-- Custom policies get the standard values, keeping any they already have
+UPDATE policies SET settings = json_insert(settings,
+    '$.audio', json('{"requireSilence":false,"speechSeconds":3,"whisperSeconds":3,"voiceMarginDb":12}'),
+    '$.deductions.speechCount', 5,
+    '$.deductions.multipleVoicesCount', 10,
+    '$.deductions.whisperingCount', 8)
+WHERE id NOT IN ('strict', 'standard', 'lenient');
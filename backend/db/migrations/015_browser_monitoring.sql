@@ -0,0 +1,35 @@
+-- Browser incidents: leaving the interview tab or window, leaving a required
+-- fullscreen mode, copy/paste/context-menu use, shrinking the window and
+-- connecting a second display
+ALTER TABLE reports ADD COLUMN tab_switch_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE reports ADD COLUMN fullscreen_exit_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE reports ADD COLUMN clipboard_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE reports ADD COLUMN window_resize_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE reports ADD COLUMN second_display_count INTEGER NOT NULL DEFAULT 0;
+
+-- Browser settings of detection policies: whether the interview runs in
+-- fullscreen, whether copy/paste is blocked, how long the candidate may be
+-- away from the tab before it is an incident, and how much smaller than the
+-- screen the window may get
+UPDATE policies SET settings = json_set(settings,
+    '$.browser', json(CASE id
+        WHEN 'strict' THEN '{"requireFullscreen":true,"blockClipboard":true,"awaySeconds":0,"resizeThreshold":0.1}'
+        WHEN 'lenient' THEN '{"requireFullscreen":false,"blockClipboard":false,"awaySeconds":3,"resizeThreshold":0.3}'
+        ELSE '{"requireFullscreen":false,"blockClipboard":false,"awaySeconds":1,"resizeThreshold":0.2}'
+    END),
+    '$.deductions.tabSwitchCount', CASE id WHEN 'strict' THEN 12 WHEN 'lenient' THEN 4 ELSE 8 END,
+    '$.deductions.fullscreenExitCount', CASE id WHEN 'strict' THEN 8 WHEN 'lenient' THEN 2 ELSE 5 END,
+    '$.deductions.clipboardCount', CASE id WHEN 'strict' THEN 8 WHEN 'lenient' THEN 2 ELSE 5 END,
+    '$.deductions.windowResizeCount', CASE id WHEN 'strict' THEN 3 WHEN 'lenient' THEN 1 ELSE 2 END,
+    '$.deductions.secondDisplayCount', CASE id WHEN 'strict' THEN 15 WHEN 'lenient' THEN 5 ELSE 10 END)
+WHERE id IN ('strict', 'standard', 'lenient');
+
+-- Custom policies get the standard values, keeping any they already have
+UPDATE policies SET settings = json_insert(settings,
+    '$.browser', json('{"requireFullscreen":false,"blockClipboard":false,"awaySeconds":1,"resizeThreshold":0.2}'),
+    '$.deductions.tabSwitchCount', 8,
+    '$.deductions.fullscreenExitCount', 5,
+    '$.deductions.clipboardCount', 5,
+    '$.deductions.windowResizeCount', 2,
+    '$.deductions.secondDisplayCount', 10)
+WHERE id NOT IN ('strict', 'standard', 'lenient');
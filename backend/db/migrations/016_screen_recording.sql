@@ -0,0 +1,23 @@
+-- Recordings are either the webcam or the candidate's screen. started_at is
+-- when the browser started recording, used to play both in sync.
+ALTER TABLE videos ADD COLUMN kind TEXT NOT NULL DEFAULT 'webcam';
+ALTER TABLE videos ADD COLUMN started_at TEXT;
+
+-- Periods in which the candidate stopped sharing their screen
+ALTER TABLE reports ADD COLUMN screen_share_stopped_count INTEGER NOT NULL DEFAULT 0;
+
+-- Screen settings of detection policies: whether the screen is recorded by
+-- default and whether the interview ends when screen sharing stops
+UPDATE policies SET settings = json_set(settings,
+    '$.screen', json(CASE id
+        WHEN 'strict' THEN '{"record":true,"endOnStop":true}'
+        ELSE '{"record":false,"endOnStop":false}'
+    END),
+    '$.deductions.screenShareStoppedCount', CASE id WHEN 'strict' THEN 15 WHEN 'lenient' THEN 5 ELSE 10 END)
+WHERE id IN ('strict', 'standard', 'lenient');
+
+-- Custom policies get the standard values, keeping any they already have
+UPDATE policies SET settings = json_insert(settings,
+    '$.screen', json('{"record":false,"endOnStop":false}'),
+    '$.deductions.screenShareStoppedCount', 10)
+WHERE id NOT IN ('strict', 'standard', 'lenient');
@@ -0,0 +1,4 @@
+-- Inference rate and latency of the face and object detection models as
+-- measured by the browser during the interview (JSON), so reviewers can see
+-- when detection ran slower than the policy asked for
+ALTER TABLE reports ADD COLUMN detection_performance TEXT;
@@ -0,0 +1,4 @@
+-- What produced each report's integrity score (JSON): the scoring rule set
+-- version, the detection policy and the deductions that were applied.
+-- Reports scored before this are filled in the next time they are re-scored.
+ALTER TABLE reports ADD COLUMN score_details TEXT;
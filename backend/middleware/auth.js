@@ -0,0 +1,45 @@
+// backend/middleware/auth.js
+const Session = require('../models/Session');
+const { SESSION_COOKIE } = require('../config');
+
+// Read the session token from the Authorization header or the session cookie
+function getToken(req) {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+    return req.cookies ? req.cookies[SESSION_COOKIE] : null;
+}
+
+// Require a logged in user and attach it as req.user
+function authenticate(req, res, next) {
+    try {
+        const user = Session.findUserByToken(getToken(req));
+        if (!user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Allow only users with one of the given roles. Admins are always allowed.
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (req.user.role !== 'admin' && !roles.includes(req.user.role)) {
+            return res.status(403).json({ error: 'You do not have permission to perform this action' });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    getToken,
+    authenticate,
+    requireRole
+};
@@ -0,0 +1,82 @@
+// backend/models/AuditLog.js
+const db = require('../db');
+
+const MAX_PAGE_SIZE = 500;
+
+const statements = {
+    insert: db.prepare(`
+        INSERT INTO audit_log (timestamp, user_id, username, action, resource_type, resource_id, ip_address, details)
+        VALUES (@timestamp, @user_id, @username, @action, @resource_type, @resource_id, @ip_address, @details)
+    `)
+};
+
+// Convert a database row to the audit entry shape used by the API
+function fromRow(row) {
+    return {
+        id: row.id,
+        timestamp: row.timestamp,
+        userId: row.user_id,
+        username: row.username,
+        action: row.action,
+        resourceType: row.resource_type,
+        resourceId: row.resource_id,
+        ipAddress: row.ip_address,
+        details: row.details ? JSON.parse(row.details) : null
+    };
+}
+
+// Append an entry. The table rejects updates and deletes, so entries are permanent.
+function record({ user, action, resourceType, resourceId, ipAddress, details }) {
+    statements.insert.run({
+        timestamp: new Date().toISOString(),
+        user_id: user ? user.id : null,
+        username: user ? user.username : null,
+        action,
+        resource_type: resourceType,
+        resource_id: resourceId || null,
+        ip_address: ipAddress || null,
+        details: details ? JSON.stringify(details) : null
+    });
+}
+
+// Query entries, newest first. Filters: action, resourceType, resourceId, userId, from, to.
+function find(filters = {}, { limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = {};
+
+    [
+        ['action', 'action'],
+        ['resourceType', 'resource_type'],
+        ['resourceId', 'resource_id'],
+        ['userId', 'user_id']
+    ].forEach(([filter, column]) => {
+        if (filters[filter]) {
+            conditions.push(`${column} = @${filter}`);
+            params[filter] = filters[filter];
+        }
+    });
+    if (filters.from) {
+        conditions.push('timestamp >= @from');
+        params.from = filters.from;
+    }
+    if (filters.to) {
+        conditions.push('timestamp <= @to');
+        params.to = filters.to;
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM audit_log ${where}`).get(params).count;
+    const entries = db.prepare(`
+        SELECT * FROM audit_log ${where}
+        ORDER BY id DESC
+        LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit: Math.min(limit, MAX_PAGE_SIZE), offset });
+
+    return { total, entries: entries.map(fromRow) };
+}
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    record,
+    find
+};
@@ -0,0 +1,201 @@
+// backend/models/InterviewSession.js
+// Scheduled interviews ("interview sessions", not to be confused with login sessions in Session.js)
+const crypto = require('crypto');
+const db = require('../db');
+const generateId = require('../utils/generateId');
+
+const STATUSES = ['scheduled', 'in_progress', 'completed', 'cancelled'];
+// Sessions that can still be joined and receive a report or recording
+const OPEN_STATUSES = ['scheduled', 'in_progress'];
+
+// Sessions with the interviewer's username, the policy name and the report made for them
+const SELECT = `
+    SELECT interview_sessions.*, users.username AS interviewer_username, policies.name AS policy_name,
+        (SELECT id FROM reports
+         WHERE reports.session_id = interview_sessions.id AND reports.deleted_at IS NULL
+         ORDER BY timestamp DESC LIMIT 1) AS report_id
+    FROM interview_sessions
+    LEFT JOIN users ON users.id = interview_sessions.interviewer_id
+    LEFT JOIN policies ON policies.id = interview_sessions.policy_id
+`;
+
+const statements = {
+    insert: db.prepare(`
+        INSERT INTO interview_sessions (
+            id, candidate_name, candidate_email, position, interviewer_id, scheduled_at, policy_id,
+            join_token_hash, created_by, created_at, updated_at
+        ) VALUES (
+            @id, @candidate_name, @candidate_email, @position, @interviewer_id, @scheduled_at, @policy_id,
+            @join_token_hash, @created_by, @created_at, @created_at
+        )
+    `),
+    findById: db.prepare(`${SELECT} WHERE interview_sessions.id = ?`),
+    findByJoinTokenHash: db.prepare(`${SELECT} WHERE interview_sessions.join_token_hash = ?`),
+    update: db.prepare(`
+        UPDATE interview_sessions
+        SET candidate_name = @candidate_name, candidate_email = @candidate_email, position = @position,
+            interviewer_id = @interviewer_id, scheduled_at = @scheduled_at, policy_id = @policy_id,
+            status = @status, updated_at = @updated_at
+        WHERE id = @id
+    `),
+    updateJoinToken: db.prepare(`
+        UPDATE interview_sessions SET join_token_hash = @join_token_hash, updated_at = @updated_at WHERE id = @id
+    `),
+    markStarted: db.prepare(`
+        UPDATE interview_sessions SET status = 'in_progress', started_at = @now, updated_at = @now
+        WHERE id = @id AND status = 'scheduled'
+    `),
+    markCompleted: db.prepare(`
+        UPDATE interview_sessions
+        SET status = 'completed', started_at = COALESCE(started_at, @now), completed_at = @now, updated_at = @now
+        WHERE id = @id AND status IN ('scheduled', 'in_progress')
+    `)
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateJoinToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// Convert a database row to the session shape used by the API
+function fromRow(row) {
+    return {
+        id: row.id,
+        candidateName: row.candidate_name,
+        candidateEmail: row.candidate_email,
+        position: row.position,
+        interviewer: row.interviewer_id
+            ? { id: row.interviewer_id, username: row.interviewer_username }
+            : null,
+        scheduledAt: row.scheduled_at,
+        policy: row.policy_id ? { id: row.policy_id, name: row.policy_name } : null,
+        status: row.status,
+        reportId: row.report_id,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        startedAt: row.started_at,
+        completedAt: row.completed_at
+    };
+}
+
+// Schedule an interview. Returns { session, joinToken }; the token is not
+// stored and cannot be retrieved again (see rotateJoinToken).
+function create({ candidateName, candidateEmail, position, interviewerId, scheduledAt, policyId, createdBy }) {
+    const id = generateId();
+    const joinToken = generateJoinToken();
+    statements.insert.run({
+        id,
+        candidate_name: candidateName,
+        candidate_email: candidateEmail,
+        position: position || null,
+        interviewer_id: interviewerId,
+        scheduled_at: scheduledAt,
+        policy_id: policyId || null,
+        join_token_hash: hashToken(joinToken),
+        created_by: createdBy || null,
+        created_at: new Date().toISOString()
+    });
+    return { session: findById(id), joinToken };
+}
+
+// Get sessions, earliest first, optionally filtered by status, interviewerId
+// and a from/to range of scheduled dates
+function findAll({ status, interviewerId, from, to } = {}, { limit = 100 } = {}) {
+    const conditions = [];
+    const params = { limit };
+    if (status) {
+        conditions.push('interview_sessions.status = @status');
+        params.status = status;
+    }
+    if (interviewerId) {
+        conditions.push('interview_sessions.interviewer_id = @interviewerId');
+        params.interviewerId = interviewerId;
+    }
+    if (from) {
+        conditions.push('interview_sessions.scheduled_at >= @from');
+        params.from = from;
+    }
+    if (to) {
+        conditions.push('interview_sessions.scheduled_at <= @to');
+        params.to = to;
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return db.prepare(`
+        ${SELECT} ${where}
+        ORDER BY interview_sessions.scheduled_at, interview_sessions.id
+        LIMIT @limit
+    `).all(params).map(fromRow);
+}
+
+function findById(id) {
+    const row = statements.findById.get(id);
+    return row ? fromRow(row) : null;
+}
+
+// Get the session a join link belongs to
+function findByJoinToken(token) {
+    if (!token) return null;
+    const row = statements.findByJoinTokenHash.get(hashToken(token));
+    return row ? fromRow(row) : null;
+}
+
+// Replace the editable fields of a session
+function update(session) {
+    statements.update.run({
+        id: session.id,
+        candidate_name: session.candidateName,
+        candidate_email: session.candidateEmail,
+        position: session.position || null,
+        interviewer_id: session.interviewer ? session.interviewer.id : null,
+        scheduled_at: session.scheduledAt,
+        policy_id: session.policy ? session.policy.id : null,
+        status: session.status,
+        updated_at: new Date().toISOString()
+    });
+    return findById(session.id);
+}
+
+// Issue a new join token, invalidating the previous link
+function rotateJoinToken(id) {
+    const joinToken = generateJoinToken();
+    statements.updateJoinToken.run({
+        id,
+        join_token_hash: hashToken(joinToken),
+        updated_at: new Date().toISOString()
+    });
+    return joinToken;
+}
+
+// Only the assigned interviewer (or an admin) runs an interview
+function isRunBy(session, user) {
+    return user.role === 'admin' || Boolean(session.interviewer && session.interviewer.id === user.id);
+}
+
+// Record that the interview has started (only scheduled sessions change)
+function markStarted(id) {
+    return statements.markStarted.run({ id, now: new Date().toISOString() }).changes > 0;
+}
+
+// Record that the interview's report was saved
+function markCompleted(id) {
+    return statements.markCompleted.run({ id, now: new Date().toISOString() }).changes > 0;
+}
+
+module.exports = {
+    STATUSES,
+    OPEN_STATUSES,
+    isRunBy,
+    create,
+    findAll,
+    findById,
+    findByJoinToken,
+    update,
+    rotateJoinToken,
+    markStarted,
+    markCompleted
+};
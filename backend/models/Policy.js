@@ -0,0 +1,102 @@
+// backend/models/Policy.js
+// Detection policies: named sets of detection thresholds and score deductions
+const db = require('../db');
+
+// Used by interviews that were not given a policy
+const DEFAULT_POLICY_ID = 'standard';
+
+const statements = {
+    insert: db.prepare(`
+        INSERT INTO policies (id, name, description, settings, created_by, created_at, updated_at)
+        VALUES (@id, @name, @description, @settings, @created_by, @created_at, @created_at)
+    `),
+    findAll: db.prepare('SELECT * FROM policies ORDER BY builtin DESC, name COLLATE NOCASE'),
+    findById: db.prepare('SELECT * FROM policies WHERE id = ?'),
+    findByName: db.prepare('SELECT * FROM policies WHERE name = ?'),
+    update: db.prepare(`
+        UPDATE policies SET name = @name, description = @description, settings = @settings, updated_at = @updated_at
+        WHERE id = @id
+    `),
+    deleteById: db.prepare('DELETE FROM policies WHERE id = ? AND builtin = 0')
+};
+
+// Convert a database row to the policy shape used by the API
+function fromRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        settings: JSON.parse(row.settings),
+        builtin: row.builtin === 1,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function toRow(policy) {
+    return {
+        id: policy.id,
+        name: policy.name,
+        description: policy.description || null,
+        settings: JSON.stringify(policy.settings)
+    };
+}
+
+// The copy of a policy stored with a report
+function snapshot(policy) {
+    return { id: policy.id, name: policy.name, settings: policy.settings, updatedAt: policy.updatedAt };
+}
+
+function create(policy) {
+    statements.insert.run({
+        ...toRow(policy),
+        created_by: policy.createdBy || null,
+        created_at: new Date().toISOString()
+    });
+    return findById(policy.id);
+}
+
+// Built-in policies first, then by name
+function findAll() {
+    return statements.findAll.all().map(fromRow);
+}
+
+function findById(id) {
+    const row = statements.findById.get(id);
+    return row ? fromRow(row) : null;
+}
+
+// Names are unique regardless of case
+function findByName(name) {
+    const row = statements.findByName.get(name);
+    return row ? fromRow(row) : null;
+}
+
+// Get a policy, falling back to the default one when the id is missing or unknown
+function findOrDefault(id) {
+    return (id && findById(id)) || findById(DEFAULT_POLICY_ID);
+}
+
+// Replace the editable fields of a policy
+function update(policy) {
+    statements.update.run({ ...toRow(policy), updated_at: new Date().toISOString() });
+    return findById(policy.id);
+}
+
+// Delete a custom policy; built-in policies are never deleted
+function deleteById(id) {
+    return statements.deleteById.run(id).changes > 0;
+}
+
+module.exports = {
+    DEFAULT_POLICY_ID,
+    snapshot,
+    create,
+    findAll,
+    findById,
+    findByName,
+    findOrDefault,
+    update,
+    deleteById
+};
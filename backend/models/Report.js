@@ -0,0 +1,377 @@
+// backend/models/Report.js
+const db = require('../db');
+
+// Columns returned for report listings (events and incidents are only loaded for a single report)
+const SUMMARY_COLUMNS = `
+    id, timestamp, candidate_name, interview_duration, start_time, end_time,
+    look_away_count, no_face_count, multiple_faces_count, identity_mismatch_count,
+    phones_detected, books_detected, devices_detected, speech_count, multiple_voices_count, whispering_count,
+    tab_switch_count, fullscreen_exit_count, clipboard_count, window_resize_count, second_display_count,
+    screen_share_stopped_count, integrity_score, created_by, deleted_at, deleted_by, session_id, identity_verification,
+    detection_performance, policy, scoring_version, scored_at
+`;
+
+// Fields reports can be sorted by and their columns
+const SORT_COLUMNS = {
+    timestamp: 'timestamp',
+    candidateName: 'candidate_name COLLATE NOCASE',
+    integrityScore: 'integrity_score',
+    interviewDuration: 'interview_duration'
+};
+
+// Issue filters ("only reports where this was detected") and their counter columns
+const ISSUE_COLUMNS = {
+    lookAway: 'look_away_count',
+    noFace: 'no_face_count',
+    multipleFaces: 'multiple_faces_count',
+    identityMismatch: 'identity_mismatch_count',
+    phone: 'phones_detected',
+    book: 'books_detected',
+    device: 'devices_detected',
+    speech: 'speech_count',
+    multipleVoices: 'multiple_voices_count',
+    whispering: 'whispering_count',
+    tabSwitch: 'tab_switch_count',
+    fullscreenExit: 'fullscreen_exit_count',
+    clipboard: 'clipboard_count',
+    windowResize: 'window_resize_count',
+    secondDisplay: 'second_display_count',
+    screenShareStopped: 'screen_share_stopped_count'
+};
+
+const statements = {
+    insert: db.prepare(`
+        INSERT INTO reports (
+            id, timestamp, candidate_name, interview_duration, start_time, end_time,
+            look_away_count, no_face_count, multiple_faces_count, identity_mismatch_count,
+            phones_detected, books_detected, devices_detected, speech_count, multiple_voices_count, whispering_count,
+            tab_switch_count, fullscreen_exit_count, clipboard_count, window_resize_count, second_display_count,
+            screen_share_stopped_count, integrity_score, events, incidents, created_by, session_id,
+            identity_verification, detection_performance, policy, scoring_version, scored_at, score_details
+        ) VALUES (
+            @id, @timestamp, @candidate_name, @interview_duration, @start_time, @end_time,
+            @look_away_count, @no_face_count, @multiple_faces_count, @identity_mismatch_count,
+            @phones_detected, @books_detected, @devices_detected, @speech_count, @multiple_voices_count, @whispering_count,
+            @tab_switch_count, @fullscreen_exit_count, @clipboard_count, @window_resize_count, @second_display_count,
+            @screen_share_stopped_count,
+            @integrity_score, @events, @incidents, @created_by, @session_id,
+            @identity_verification, @detection_performance, @policy, @scoring_version, @scored_at, @score_details
+        )
+    `),
+    findAll: db.prepare(`
+        SELECT ${SUMMARY_COLUMNS} FROM reports WHERE deleted_at IS NULL ORDER BY timestamp DESC
+    `),
+    findDeleted: db.prepare(`
+        SELECT ${SUMMARY_COLUMNS} FROM reports WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC
+    `),
+    findDeletedBefore: db.prepare(`
+        SELECT ${SUMMARY_COLUMNS} FROM reports WHERE deleted_at IS NOT NULL AND deleted_at < ?
+    `),
+    findById: db.prepare('SELECT * FROM reports WHERE id = ? AND deleted_at IS NULL'),
+    findByIdIncludingDeleted: db.prepare('SELECT * FROM reports WHERE id = ?'),
+    softDelete: db.prepare(`
+        UPDATE reports SET deleted_at = @deleted_at, deleted_by = @deleted_by
+        WHERE id = @id AND deleted_at IS NULL
+    `),
+    restore: db.prepare(`
+        UPDATE reports SET deleted_at = NULL, deleted_by = NULL
+        WHERE id = ? AND deleted_at IS NOT NULL
+    `),
+    deleteById: db.prepare('DELETE FROM reports WHERE id = ?'),
+    updateScore: db.prepare(`
+        UPDATE reports SET integrity_score = @integrity_score, scoring_version = @scoring_version, scored_at = @scored_at,
+            score_details = @score_details
+        WHERE id = @id
+    `),
+    findOlderThan: db.prepare(`
+        SELECT ${SUMMARY_COLUMNS} FROM reports WHERE timestamp < ?
+    `),
+    count: db.prepare('SELECT COUNT(*) AS count FROM reports WHERE deleted_at IS NULL'),
+    usage: db.prepare(`
+        SELECT
+            COUNT(*) AS count,
+            SUM(CASE WHEN deleted_at IS NOT NULL THEN 1 ELSE 0 END) AS deleted,
+            COALESCE(SUM(length(events) + length(incidents)), 0) AS event_bytes
+        FROM reports
+    `)
+};
+
+// Convert a database row to the report shape used by the API and frontend
+function fromRow(row) {
+    const report = {
+        id: row.id,
+        timestamp: row.timestamp,
+        candidateName: row.candidate_name,
+        interviewDuration: row.interview_duration,
+        startTime: row.start_time,
+        endTime: row.end_time,
+        focusIssues: {
+            lookAwayCount: row.look_away_count,
+            noFaceCount: row.no_face_count,
+            multipleFacesCount: row.multiple_faces_count,
+            identityMismatchCount: row.identity_mismatch_count
+        },
+        prohibitedItems: {
+            phonesDetected: row.phones_detected,
+            booksDetected: row.books_detected,
+            devicesDetected: row.devices_detected
+        },
+        audioIssues: {
+            speechCount: row.speech_count,
+            multipleVoicesCount: row.multiple_voices_count,
+            whisperingCount: row.whispering_count
+        },
+        browserIssues: {
+            tabSwitchCount: row.tab_switch_count,
+            fullscreenExitCount: row.fullscreen_exit_count,
+            clipboardCount: row.clipboard_count,
+            windowResizeCount: row.window_resize_count,
+            secondDisplayCount: row.second_display_count,
+            screenShareStoppedCount: row.screen_share_stopped_count
+        },
+        identityVerification: row.identity_verification ? JSON.parse(row.identity_verification) : null,
+        detectionPerformance: row.detection_performance ? JSON.parse(row.detection_performance) : null,
+        policy: row.policy ? JSON.parse(row.policy) : null,
+        integrityScore: row.integrity_score,
+        scoringVersion: row.scoring_version,
+        scoredAt: row.scored_at,
+        scoreDetails: row.score_details ? JSON.parse(row.score_details) : null,
+        createdBy: row.created_by,
+        sessionId: row.session_id
+    };
+
+    if (row.deleted_at) {
+        report.deletedAt = row.deleted_at;
+        report.deletedBy = row.deleted_by;
+    }
+
+    if (row.events !== undefined) {
+        report.events = JSON.parse(row.events);
+    }
+    if (row.incidents !== undefined) {
+        report.incidents = JSON.parse(row.incidents);
+    }
+
+    return report;
+}
+
+// Convert a report object to named statement parameters
+function toRow(report) {
+    return {
+        id: report.id,
+        timestamp: report.timestamp,
+        candidate_name: report.candidateName,
+        interview_duration: report.interviewDuration,
+        start_time: report.startTime,
+        end_time: report.endTime,
+        look_away_count: report.focusIssues.lookAwayCount || 0,
+        no_face_count: report.focusIssues.noFaceCount || 0,
+        multiple_faces_count: report.focusIssues.multipleFacesCount || 0,
+        identity_mismatch_count: report.focusIssues.identityMismatchCount || 0,
+        phones_detected: report.prohibitedItems.phonesDetected || 0,
+        books_detected: report.prohibitedItems.booksDetected || 0,
+        devices_detected: report.prohibitedItems.devicesDetected || 0,
+        speech_count: (report.audioIssues || {}).speechCount || 0,
+        multiple_voices_count: (report.audioIssues || {}).multipleVoicesCount || 0,
+        whispering_count: (report.audioIssues || {}).whisperingCount || 0,
+        tab_switch_count: (report.browserIssues || {}).tabSwitchCount || 0,
+        fullscreen_exit_count: (report.browserIssues || {}).fullscreenExitCount || 0,
+        clipboard_count: (report.browserIssues || {}).clipboardCount || 0,
+        window_resize_count: (report.browserIssues || {}).windowResizeCount || 0,
+        second_display_count: (report.browserIssues || {}).secondDisplayCount || 0,
+        screen_share_stopped_count: (report.browserIssues || {}).screenShareStoppedCount || 0,
+        integrity_score: report.integrityScore,
+        events: JSON.stringify(report.events || []),
+        incidents: JSON.stringify(report.incidents || []),
+        created_by: report.createdBy || null,
+        session_id: report.sessionId || null,
+        identity_verification: report.identityVerification ? JSON.stringify(report.identityVerification) : null,
+        detection_performance: report.detectionPerformance ? JSON.stringify(report.detectionPerformance) : null,
+        policy: report.policy ? JSON.stringify(report.policy) : null,
+        scoring_version: report.scoringVersion,
+        scored_at: report.scoredAt || report.timestamp,
+        score_details: report.scoreDetails ? JSON.stringify(report.scoreDetails) : null
+    };
+}
+
+// Insert a new report and return it
+function create(report) {
+    statements.insert.run(toRow(report));
+    return report;
+}
+
+// Get all reports, newest first, without their event logs
+function findAll() {
+    return statements.findAll.all().map(fromRow);
+}
+
+// Build the WHERE clause for search filters: ids, search (candidate name
+// substring), from, to, minScore, maxScore and issues
+function searchConditions(filters) {
+    const conditions = ['deleted_at IS NULL'];
+    const params = {};
+
+    if (filters.ids) {
+        conditions.push('id IN (SELECT value FROM json_each(@ids))');
+        params.ids = JSON.stringify(filters.ids);
+    }
+    if (filters.search) {
+        conditions.push("candidate_name LIKE @search ESCAPE '\\'");
+        params.search = `%${filters.search.replace(/[\\%_]/g, '\\$&')}%`;
+    }
+    if (filters.from) {
+        conditions.push('timestamp >= @from');
+        params.from = filters.from;
+    }
+    if (filters.to) {
+        conditions.push('timestamp <= @to');
+        params.to = filters.to;
+    }
+    if (filters.minScore !== undefined) {
+        conditions.push('integrity_score >= @minScore');
+        params.minScore = filters.minScore;
+    }
+    if (filters.maxScore !== undefined) {
+        conditions.push('integrity_score <= @maxScore');
+        params.maxScore = filters.maxScore;
+    }
+    (filters.issues || []).forEach(issue => {
+        conditions.push(`${ISSUE_COLUMNS[issue]} > 0`);
+    });
+
+    return { where: `WHERE ${conditions.join(' AND ')}`, params };
+}
+
+function orderBy(sort = 'timestamp', order = 'desc') {
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    return `ORDER BY ${SORT_COLUMNS[sort]} ${direction}, id ${direction}`;
+}
+
+// Get one page of reports matching the filters, without their event logs.
+// Returns { total, reports } where total counts every matching report.
+function search(filters = {}, { limit = 20, offset = 0, sort, order } = {}) {
+    const { where, params } = searchConditions(filters);
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM reports ${where}`).get(params).count;
+    const rows = db.prepare(`
+        SELECT ${SUMMARY_COLUMNS} FROM reports ${where}
+        ${orderBy(sort, order)}
+        LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset });
+
+    return { total, reports: rows.map(fromRow) };
+}
+
+// Iterate over every report matching the filters, for exports. Event logs and
+// incidents are only loaded when withEvents is set. Rows are read a page at a
+// time, each page continuing after the last row of the one before (keyset
+// pagination), so no query stays open while the caller waits between rows
+// and only one page is held in memory.
+function* iterate(filters = {}, { sort = 'timestamp', order = 'desc', withEvents = false, pageSize = 100 } = {}) {
+    const { where, params } = searchConditions(filters);
+    const column = SORT_COLUMNS[sort];
+    const after = order === 'asc' ? '>' : '<';
+    const page = db.prepare(`
+        SELECT ${withEvents ? '*' : SUMMARY_COLUMNS}, ${column} AS sort_key FROM reports ${where}
+        AND (@lastId IS NULL OR (${column}, id) ${after} (@lastKey, @lastId))
+        ${orderBy(sort, order)}
+        LIMIT @pageSize
+    `);
+
+    let last = { sort_key: null, id: null };
+    for (;;) {
+        const rows = page.all({ ...params, lastKey: last.sort_key, lastId: last.id, pageSize });
+        for (const row of rows) {
+            yield fromRow(row);
+        }
+        if (rows.length < pageSize) return;
+        last = rows[rows.length - 1];
+    }
+}
+
+// Get reports in the trash, most recently deleted first
+function findDeleted() {
+    return statements.findDeleted.all().map(fromRow);
+}
+
+// Get trashed reports deleted before the given date
+function findDeletedBefore(date) {
+    return statements.findDeletedBefore.all(date.toISOString()).map(fromRow);
+}
+
+// Get a single report including its event log. Trashed reports are
+// only returned when includeDeleted is set.
+function findById(id, { includeDeleted = false } = {}) {
+    const statement = includeDeleted ? statements.findByIdIncludingDeleted : statements.findById;
+    const row = statement.get(id);
+    return row ? fromRow(row) : null;
+}
+
+function exists(id, options) {
+    return Boolean(findById(id, options));
+}
+
+// Move a report to the trash, returning true if it was found
+function softDelete(id, userId) {
+    return statements.softDelete.run({
+        id,
+        deleted_at: new Date().toISOString(),
+        deleted_by: userId || null
+    }).changes > 0;
+}
+
+// Get reports (including trashed ones) created before the given date
+function findOlderThan(date) {
+    return statements.findOlderThan.all(date.toISOString()).map(fromRow);
+}
+
+// Take a report out of the trash, returning true if it was trashed
+function restore(id) {
+    return statements.restore.run(id).changes > 0;
+}
+
+// Store a recomputed integrity score, the scoring version and the details
+// of what produced it
+function updateScore(id, { integrityScore, scoringVersion, scoreDetails }) {
+    return statements.updateScore.run({
+        id,
+        integrity_score: integrityScore,
+        scoring_version: scoringVersion,
+        score_details: scoreDetails ? JSON.stringify(scoreDetails) : null,
+        scored_at: new Date().toISOString()
+    }).changes > 0;
+}
+
+// Permanently delete a report, returning true if a row was removed
+function deleteById(id) {
+    return statements.deleteById.run(id).changes > 0;
+}
+
+function count() {
+    return statements.count.get().count;
+}
+
+// Number of stored reports (including the trash) and the size of their event logs and incidents
+function usage() {
+    const row = statements.usage.get();
+    return { count: row.count, deleted: row.deleted || 0, eventBytes: row.event_bytes };
+}
+
+module.exports = {
+    SORT_COLUMNS,
+    ISSUE_COLUMNS,
+    create,
+    findAll,
+    search,
+    iterate,
+    findDeleted,
+    findDeletedBefore,
+    findOlderThan,
+    findById,
+    exists,
+    softDelete,
+    restore,
+    updateScore,
+    deleteById,
+    count,
+    usage
+};
@@ -0,0 +1,137 @@
+// backend/models/ReportStats.js
+// Aggregate statistics across saved (non-deleted) reports
+const db = require('../db');
+const { ISSUE_COLUMNS } = require('./Report');
+
+// interview_duration is stored as HH:MM:SS (hours may exceed two digits)
+const DURATION_SECONDS = `(
+    CAST(substr(interview_duration, 1, length(interview_duration) - 6) AS INTEGER) * 3600 +
+    CAST(substr(interview_duration, -5, 2) AS INTEGER) * 60 +
+    CAST(substr(interview_duration, -2) AS INTEGER)
+)`;
+
+// Start of the day or (Monday-based) week a report falls in
+const PERIOD_EXPRESSIONS = {
+    day: 'date(timestamp)',
+    week: "date(timestamp, 'weekday 0', '-6 days')"
+};
+
+// Score levels, matching the badges on the reports page
+const SCORE_LEVELS = [
+    { level: 'high', min: 80, max: 100 },
+    { level: 'medium', min: 60, max: 79 },
+    { level: 'low', min: 0, max: 59 }
+];
+
+const round = (value, digits = 1) => value === null ? null : Number(value.toFixed(digits));
+
+// Build the WHERE clause for the date range filters
+function dateRange({ from, to }) {
+    const conditions = ['deleted_at IS NULL'];
+    const params = {};
+    if (from) {
+        conditions.push('timestamp >= @from');
+        params.from = from;
+    }
+    if (to) {
+        conditions.push('timestamp <= @to');
+        params.to = to;
+    }
+    return { where: `WHERE ${conditions.join(' AND ')}`, params };
+}
+
+// Per-issue totals: how many times it was detected and in how many reports
+const issueColumns = Object.entries(ISSUE_COLUMNS).map(([issue, column]) => `
+    SUM(${column}) AS ${issue}_total,
+    SUM(CASE WHEN ${column} > 0 THEN 1 ELSE 0 END) AS ${issue}_reports
+`).join(',');
+
+// Compute statistics for reports in the date range, with a trend grouped by day or week
+function compute({ from, to, interval = 'day' } = {}) {
+    const { where, params } = dateRange({ from, to });
+
+    const summary = db.prepare(`
+        SELECT
+            COUNT(*) AS total,
+            AVG(integrity_score) AS average_score,
+            MIN(integrity_score) AS min_score,
+            MAX(integrity_score) AS max_score,
+            AVG(${DURATION_SECONDS}) AS average_duration,
+            MIN(timestamp) AS first_report,
+            MAX(timestamp) AS last_report,
+            ${issueColumns}
+        FROM reports ${where}
+    `).get(params);
+
+    // Ten buckets of ten points; a perfect 100 goes into the 90-100 bucket
+    const bucketRows = db.prepare(`
+        SELECT MIN(CAST(integrity_score / 10 AS INTEGER), 9) AS bucket, COUNT(*) AS count
+        FROM reports ${where}
+        GROUP BY bucket
+    `).all(params);
+    const scoreDistribution = Array.from({ length: 10 }, (_, bucket) => {
+        const row = bucketRows.find(r => r.bucket === bucket);
+        return {
+            min: bucket * 10,
+            max: bucket === 9 ? 100 : bucket * 10 + 9,
+            count: row ? row.count : 0
+        };
+    });
+
+    const scoreLevels = SCORE_LEVELS.map(({ level, min, max }) => ({
+        level,
+        min,
+        max,
+        count: scoreDistribution
+            .filter(bucket => bucket.min >= min && bucket.max <= max)
+            .reduce((sum, bucket) => sum + bucket.count, 0)
+    }));
+
+    const violations = Object.keys(ISSUE_COLUMNS).map(issue => ({
+        type: issue,
+        total: summary[`${issue}_total`] || 0,
+        reports: summary[`${issue}_reports`] || 0,
+        rate: summary.total ? round(summary[`${issue}_reports`] / summary.total, 3) : 0
+    }));
+
+    const period = PERIOD_EXPRESSIONS[interval];
+    const trend = db.prepare(`
+        SELECT
+            ${period} AS period,
+            COUNT(*) AS total,
+            AVG(integrity_score) AS average_score,
+            ${issueColumns}
+        FROM reports ${where}
+        GROUP BY period
+        ORDER BY period
+    `).all(params).map(row => ({
+        period: row.period,
+        reports: row.total,
+        averageScore: round(row.average_score),
+        violations: Object.keys(ISSUE_COLUMNS).reduce((result, issue) => {
+            result[issue] = row[`${issue}_reports`];
+            return result;
+        }, {})
+    }));
+
+    return {
+        range: { from: from || null, to: to || null },
+        interval,
+        totalReports: summary.total,
+        firstReport: summary.first_report,
+        lastReport: summary.last_report,
+        averageScore: round(summary.average_score),
+        minScore: summary.min_score,
+        maxScore: summary.max_score,
+        averageDurationSeconds: summary.average_duration === null ? null : Math.round(summary.average_duration),
+        scoreDistribution,
+        scoreLevels,
+        violations,
+        trend
+    };
+}
+
+module.exports = {
+    INTERVALS: Object.keys(PERIOD_EXPRESSIONS),
+    compute
+};
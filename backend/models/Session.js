@@ -0,0 +1,65 @@
+// backend/models/Session.js
+const crypto = require('crypto');
+const db = require('../db');
+const { SESSION_TTL_MS } = require('../config');
+
+const statements = {
+    insert: db.prepare(`
+        INSERT INTO sessions (token_hash, user_id, created_at, expires_at)
+        VALUES (@token_hash, @user_id, @created_at, @expires_at)
+    `),
+    findUser: db.prepare(`
+        SELECT users.id, users.username, users.role
+        FROM sessions JOIN users ON users.id = sessions.user_id
+        WHERE sessions.token_hash = ? AND sessions.expires_at > ?
+    `),
+    deleteByTokenHash: db.prepare('DELETE FROM sessions WHERE token_hash = ?'),
+    deleteByUserId: db.prepare('DELETE FROM sessions WHERE user_id = ?'),
+    deleteExpired: db.prepare('DELETE FROM sessions WHERE expires_at <= ?')
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Start a session for a user and return its token
+function create(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    statements.insert.run({
+        token_hash: hashToken(token),
+        user_id: userId,
+        created_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + SESSION_TTL_MS).toISOString()
+    });
+    return { token, expiresAt: new Date(now.getTime() + SESSION_TTL_MS) };
+}
+
+// Get the user owning a valid, unexpired session token
+function findUserByToken(token) {
+    if (!token) return null;
+    return statements.findUser.get(hashToken(token), new Date().toISOString()) || null;
+}
+
+function deleteByToken(token) {
+    if (token) {
+        statements.deleteByTokenHash.run(hashToken(token));
+    }
+}
+
+// End all sessions of a user, e.g. after a password or role change
+function deleteByUserId(userId) {
+    statements.deleteByUserId.run(userId);
+}
+
+function deleteExpired() {
+    return statements.deleteExpired.run(new Date().toISOString()).changes;
+}
+
+module.exports = {
+    create,
+    findUserByToken,
+    deleteByToken,
+    deleteByUserId,
+    deleteExpired
+};
@@ -0,0 +1,106 @@
+// backend/models/User.js
+const db = require('../db');
+const generateId = require('../utils/generateId');
+const { hashPassword, verifyPassword } = require('../utils/passwords');
+
+const statements = {
+    insert: db.prepare(`
+        INSERT INTO users (id, username, password_hash, role, created_at, updated_at)
+        VALUES (@id, @username, @password_hash, @role, @created_at, @created_at)
+    `),
+    findAll: db.prepare('SELECT * FROM users ORDER BY username'),
+    findById: db.prepare('SELECT * FROM users WHERE id = ?'),
+    findByUsername: db.prepare('SELECT * FROM users WHERE username = ?'),
+    updateRole: db.prepare('UPDATE users SET role = @role, updated_at = @updated_at WHERE id = @id'),
+    updatePassword: db.prepare(`
+        UPDATE users SET password_hash = @password_hash, updated_at = @updated_at WHERE id = @id
+    `),
+    deleteById: db.prepare('DELETE FROM users WHERE id = ?'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM users'),
+    countByRole: db.prepare('SELECT COUNT(*) AS count FROM users WHERE role = ?')
+};
+
+// Convert a database row to the user shape used by the API (never includes the password hash)
+function fromRow(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        role: row.role,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function create({ username, password, role }) {
+    const id = generateId();
+    statements.insert.run({
+        id,
+        username,
+        password_hash: hashPassword(password),
+        role,
+        created_at: new Date().toISOString()
+    });
+    return findById(id);
+}
+
+function findAll() {
+    return statements.findAll.all().map(fromRow);
+}
+
+function findById(id) {
+    const row = statements.findById.get(id);
+    return row ? fromRow(row) : null;
+}
+
+function findByUsername(username) {
+    const row = statements.findByUsername.get(username);
+    return row ? fromRow(row) : null;
+}
+
+// Return the user if the username and password match, otherwise null
+function authenticate(username, password) {
+    const row = statements.findByUsername.get(username);
+    if (!row || !verifyPassword(password, row.password_hash)) {
+        return null;
+    }
+    return fromRow(row);
+}
+
+function updateRole(id, role) {
+    statements.updateRole.run({ id, role, updated_at: new Date().toISOString() });
+    return findById(id);
+}
+
+function updatePassword(id, password) {
+    statements.updatePassword.run({
+        id,
+        password_hash: hashPassword(password),
+        updated_at: new Date().toISOString()
+    });
+    return findById(id);
+}
+
+function deleteById(id) {
+    return statements.deleteById.run(id).changes > 0;
+}
+
+function count() {
+    return statements.count.get().count;
+}
+
+function countByRole(role) {
+    return statements.countByRole.get(role).count;
+}
+
+module.exports = {
+    create,
+    findAll,
+    findById,
+    findByUsername,
+    authenticate,
+    updateRole,
+    updatePassword,
+    deleteById,
+    count,
+    countByRole
+};
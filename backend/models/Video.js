@@ -0,0 +1,220 @@
+// backend/models/Video.js
+const db = require('../db');
+
+// What a recording shows
+const KINDS = ['webcam', 'screen'];
+
+const statements = {
+    insert: db.prepare(`
+        INSERT INTO videos (id, filename, mime_type, kind, started_at, created_by, session_id, created_at, updated_at)
+        VALUES (@id, @filename, @mime_type, @kind, @started_at, @created_by, @session_id, @created_at, @updated_at)
+    `),
+    insertCompleted: db.prepare(`
+        INSERT INTO videos (id, filename, mime_type, status, size, checksum, created_at, updated_at, completed_at)
+        VALUES (@id, @filename, @mime_type, 'complete', @size, @checksum, @created_at, @created_at, @created_at)
+    `),
+    findById: db.prepare('SELECT * FROM videos WHERE id = ?'),
+    findByFilename: db.prepare('SELECT * FROM videos WHERE filename = ?'),
+    recordChunk: db.prepare(`
+        UPDATE videos
+        SET chunk_count = chunk_count + 1, size = size + @bytes, updated_at = @updated_at
+        WHERE id = @id AND chunk_count = @index
+    `),
+    markCompleting: db.prepare(`
+        UPDATE videos SET status = 'completing', updated_at = @updated_at
+        WHERE id = @id AND status = 'uploading'
+    `),
+    markUploading: db.prepare(`
+        UPDATE videos SET status = 'uploading', updated_at = @updated_at
+        WHERE id = @id AND status = 'completing'
+    `),
+    markComplete: db.prepare(`
+        UPDATE videos
+        SET status = 'complete', checksum = @checksum, duration = @duration,
+            updated_at = @completed_at, completed_at = @completed_at
+        WHERE id = @id
+    `),
+    findByReportId: db.prepare('SELECT * FROM videos WHERE report_id = ? ORDER BY created_at'),
+    attachToReport: db.prepare(`
+        UPDATE videos SET report_id = @report_id, updated_at = @updated_at
+        WHERE id = @id AND report_id IS NULL
+    `),
+    deleteByReportId: db.prepare('DELETE FROM videos WHERE report_id = ?'),
+    findCompletedBefore: db.prepare(`
+        SELECT * FROM videos WHERE status = 'complete' AND completed_at < ?
+    `),
+    findStaleUploads: db.prepare(`
+        SELECT * FROM videos WHERE status IN ('uploading', 'completing') AND updated_at < ?
+    `),
+    markPurged: db.prepare(`
+        UPDATE videos SET status = 'purged', purged_at = @purged_at, updated_at = @purged_at
+        WHERE id = @id AND status = 'complete'
+    `),
+    deleteById: db.prepare('DELETE FROM videos WHERE id = ?'),
+    usage: db.prepare(`
+        SELECT status, COUNT(*) AS count, COALESCE(SUM(size), 0) AS bytes
+        FROM videos GROUP BY status
+    `)
+};
+
+// Convert a database row to the video shape used by the API
+function fromRow(row) {
+    return {
+        id: row.id,
+        filename: row.filename,
+        mimeType: row.mime_type,
+        kind: row.kind,
+        startedAt: row.started_at,
+        status: row.status,
+        chunkCount: row.chunk_count,
+        size: row.size,
+        checksum: row.checksum,
+        duration: row.duration,
+        reportId: row.report_id,
+        sessionId: row.session_id,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        completedAt: row.completed_at,
+        purgedAt: row.purged_at
+    };
+}
+
+// Start a new upload of a webcam or screen recording, optionally for a
+// scheduled interview session
+function create({ id, filename, mimeType, kind = 'webcam', startedAt, createdBy, sessionId }) {
+    const now = new Date().toISOString();
+    statements.insert.run({
+        id,
+        filename,
+        mime_type: mimeType,
+        kind,
+        started_at: startedAt || null,
+        created_by: createdBy || null,
+        session_id: sessionId || null,
+        created_at: now,
+        updated_at: now
+    });
+    return findById(id);
+}
+
+// Register an existing recording file that was not uploaded through the API
+function createCompleted({ id, filename, mimeType, size, checksum, createdAt }) {
+    statements.insertCompleted.run({
+        id,
+        filename,
+        mime_type: mimeType,
+        size,
+        checksum,
+        created_at: createdAt
+    });
+    return findById(id);
+}
+
+function findById(id) {
+    const row = statements.findById.get(id);
+    return row ? fromRow(row) : null;
+}
+
+function findByFilename(filename) {
+    const row = statements.findByFilename.get(filename);
+    return row ? fromRow(row) : null;
+}
+
+// Record that chunk `index` of `bytes` bytes was written.
+// Returns false if the chunk was not the next one expected.
+function recordChunk(id, index, bytes) {
+    return statements.recordChunk.run({
+        id,
+        index,
+        bytes,
+        updated_at: new Date().toISOString()
+    }).changes > 0;
+}
+
+// Mark an upload as being completed. Returns false if it is not receiving
+// chunks, e.g. because another request is already completing it.
+function markCompleting(id) {
+    return statements.markCompleting.run({ id, updated_at: new Date().toISOString() }).changes > 0;
+}
+
+// Return an upload whose completion failed to receiving chunks
+function markUploading(id) {
+    statements.markUploading.run({ id, updated_at: new Date().toISOString() });
+}
+
+function markComplete(id, checksum, duration) {
+    statements.markComplete.run({
+        id,
+        checksum,
+        duration: duration === undefined ? null : duration,
+        completed_at: new Date().toISOString()
+    });
+    return findById(id);
+}
+
+// Get the recordings belonging to a report, oldest first
+function findByReportId(reportId) {
+    return statements.findByReportId.all(reportId).map(fromRow);
+}
+
+// Link uploaded videos to a report. Returns the ids that could not be
+// linked because they do not exist or already belong to another report.
+function attachToReport(ids, reportId) {
+    const updated_at = new Date().toISOString();
+    return ids.filter(id => statements.attachToReport.run({ id, report_id: reportId, updated_at }).changes === 0);
+}
+
+// Remove the video rows of a report, returning the removed videos
+function deleteByReportId(reportId) {
+    const videos = findByReportId(reportId);
+    statements.deleteByReportId.run(reportId);
+    return videos;
+}
+
+// Completed recordings finished before the given date
+function findCompletedBefore(date) {
+    return statements.findCompletedBefore.all(date.toISOString()).map(fromRow);
+}
+
+// Uploads that have not received a chunk (or finished completing) since the given date
+function findStaleUploads(date) {
+    return statements.findStaleUploads.all(date.toISOString()).map(fromRow);
+}
+
+// Record that a recording's file was deleted by the retention policy
+function markPurged(id) {
+    return statements.markPurged.run({ id, purged_at: new Date().toISOString() }).changes > 0;
+}
+
+function deleteById(id) {
+    return statements.deleteById.run(id).changes > 0;
+}
+
+// Number and total size of recordings by status
+function usageByStatus() {
+    return statements.usage.all().reduce((result, row) => {
+        result[row.status] = { count: row.count, bytes: row.bytes };
+        return result;
+    }, {});
+}
+
+module.exports = {
+    KINDS,
+    create,
+    createCompleted,
+    findById,
+    findByFilename,
+    findByReportId,
+    recordChunk,
+    markCompleting,
+    markUploading,
+    markComplete,
+    attachToReport,
+    deleteByReportId,
+    findCompletedBefore,
+    findStaleUploads,
+    markPurged,
+    deleteById,
+    usageByStatus
+};
@@ -0,0 +1,98 @@
+// backend/models/Webhook.js
+const db = require('../db');
+
+const statements = {
+    insert: db.prepare(`
+        INSERT INTO webhooks (id, url, secret, events, flag_threshold, description, active, created_by, created_at, updated_at)
+        VALUES (@id, @url, @secret, @events, @flag_threshold, @description, @active, @created_by, @created_at, @created_at)
+    `),
+    findAll: db.prepare('SELECT * FROM webhooks ORDER BY created_at'),
+    findActive: db.prepare('SELECT * FROM webhooks WHERE active = 1'),
+    findById: db.prepare('SELECT * FROM webhooks WHERE id = ?'),
+    update: db.prepare(`
+        UPDATE webhooks
+        SET url = @url, secret = @secret, events = @events, flag_threshold = @flag_threshold,
+            description = @description, active = @active, updated_at = @updated_at
+        WHERE id = @id
+    `),
+    deleteById: db.prepare('DELETE FROM webhooks WHERE id = ?')
+};
+
+// Convert a database row to the webhook shape used internally. The secret is
+// only included for signing; use toPublic() for API responses.
+function fromRow(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        secret: row.secret,
+        events: JSON.parse(row.events),
+        flagThreshold: row.flag_threshold,
+        description: row.description,
+        active: row.active === 1,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function toRow(webhook) {
+    return {
+        id: webhook.id,
+        url: webhook.url,
+        secret: webhook.secret,
+        events: JSON.stringify(webhook.events),
+        flag_threshold: webhook.flagThreshold,
+        description: webhook.description || null,
+        active: webhook.active ? 1 : 0
+    };
+}
+
+// Webhook as returned by the API, with the secret masked
+function toPublic(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, secretHint: `${secret.slice(0, 4)}...` };
+}
+
+function create(webhook) {
+    statements.insert.run({
+        ...toRow(webhook),
+        created_by: webhook.createdBy || null,
+        created_at: new Date().toISOString()
+    });
+    return findById(webhook.id);
+}
+
+function findAll() {
+    return statements.findAll.all().map(fromRow);
+}
+
+// Active webhooks subscribed to an event
+function findSubscribed(event) {
+    return statements.findActive.all().map(fromRow).filter(webhook => webhook.events.includes(event));
+}
+
+function findById(id) {
+    const row = statements.findById.get(id);
+    return row ? fromRow(row) : null;
+}
+
+// Replace the editable fields of a webhook
+function update(webhook) {
+    statements.update.run({ ...toRow(webhook), updated_at: new Date().toISOString() });
+    return findById(webhook.id);
+}
+
+// Delete a webhook and its delivery log
+function deleteById(id) {
+    return statements.deleteById.run(id).changes > 0;
+}
+
+module.exports = {
+    toPublic,
+    create,
+    findAll,
+    findSubscribed,
+    findById,
+    update,
+    deleteById
+};
@@ -0,0 +1,112 @@
+// backend/models/WebhookDelivery.js
+const db = require('../db');
+
+const statements = {
+    insert: db.prepare(`
+        INSERT INTO webhook_deliveries (id, webhook_id, event, payload, next_attempt_at, redelivery_of, created_at)
+        VALUES (@id, @webhook_id, @event, @payload, @created_at, @redelivery_of, @created_at)
+    `),
+    findById: db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?'),
+    findDue: db.prepare(`
+        SELECT * FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at
+        LIMIT ?
+    `),
+    countByWebhook: db.prepare('SELECT COUNT(*) AS count FROM webhook_deliveries WHERE webhook_id = ?'),
+    findByWebhook: db.prepare(`
+        SELECT * FROM webhook_deliveries WHERE webhook_id = ?
+        ORDER BY created_at DESC, rowid DESC
+        LIMIT ? OFFSET ?
+    `),
+    recordAttempt: db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = @status, attempts = attempts + 1, last_attempt_at = @attempted_at,
+            next_attempt_at = @next_attempt_at, response_status = @response_status,
+            last_error = @last_error, completed_at = @completed_at
+        WHERE id = @id
+    `)
+};
+
+// Convert a database row to the delivery shape used by the API
+function fromRow(row) {
+    return {
+        id: row.id,
+        webhookId: row.webhook_id,
+        event: row.event,
+        payload: JSON.parse(row.payload),
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.next_attempt_at,
+        lastAttemptAt: row.last_attempt_at,
+        responseStatus: row.response_status,
+        lastError: row.last_error,
+        redeliveryOf: row.redelivery_of,
+        createdAt: row.created_at,
+        completedAt: row.completed_at
+    };
+}
+
+// Queue a delivery for immediate sending. The payload is stored as the exact
+// body that is signed and sent, so redeliveries are byte-for-byte identical.
+function create({ id, webhookId, event, body, redeliveryOf }) {
+    statements.insert.run({
+        id,
+        webhook_id: webhookId,
+        event,
+        payload: body,
+        redelivery_of: redeliveryOf || null,
+        created_at: new Date().toISOString()
+    });
+    return findById(id);
+}
+
+function findById(id) {
+    const row = statements.findById.get(id);
+    return row ? fromRow(row) : null;
+}
+
+// The raw stored body of a delivery, as sent
+function findBody(id) {
+    const row = statements.findById.get(id);
+    return row ? row.payload : null;
+}
+
+// Pending deliveries whose next attempt is due
+function findDue(limit = 20) {
+    return statements.findDue.all(new Date().toISOString(), limit).map(fromRow);
+}
+
+// Delivery log of a webhook, newest first
+function findByWebhook(webhookId, { limit = 50, offset = 0 } = {}) {
+    return {
+        total: statements.countByWebhook.get(webhookId).count,
+        deliveries: statements.findByWebhook.all(webhookId, limit, offset).map(fromRow)
+    };
+}
+
+// Record the outcome of an attempt. nextAttemptAt is set when another retry
+// is scheduled; otherwise the delivery ends as 'success' or 'failed'.
+function recordAttempt(id, { success, responseStatus, error, nextAttemptAt }) {
+    const now = new Date().toISOString();
+    const status = success ? 'success' : (nextAttemptAt ? 'pending' : 'failed');
+    statements.recordAttempt.run({
+        id,
+        status,
+        attempted_at: now,
+        next_attempt_at: status === 'pending' ? nextAttemptAt.toISOString() : null,
+        response_status: responseStatus || null,
+        last_error: error || null,
+        completed_at: status === 'pending' ? null : now
+    });
+    return findById(id);
+}
+
+module.exports = {
+    create,
+    findById,
+    findBody,
+    findDue,
+    findByWebhook,
+    recordAttempt
+};
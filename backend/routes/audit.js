@@ -0,0 +1,47 @@
+// backend/routes/audit.js
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+
+const router = express.Router();
+
+// Query the audit log (admins only), newest first.
+// Filters: action, resourceType, resourceId, userId, from, to; paging: limit, offset.
+router.get('/', (req, res) => {
+    try {
+        const { action, resourceType, resourceId, userId, from, to } = req.query;
+        const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+        const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+        const errors = [];
+        if (!Number.isInteger(limit) || limit < 1 || limit > AuditLog.MAX_PAGE_SIZE) {
+            errors.push({ field: 'limit', message: `must be an integer between 1 and ${AuditLog.MAX_PAGE_SIZE}` });
+        }
+        if (!Number.isInteger(offset) || offset < 0) {
+            errors.push({ field: 'offset', message: 'must be a non-negative integer' });
+        }
+        [['from', from], ['to', to]].forEach(([field, value]) => {
+            if (value !== undefined && isNaN(new Date(value).getTime())) {
+                errors.push({ field, message: 'must be a valid date' });
+            }
+        });
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid query', details: errors });
+        }
+
+        const result = AuditLog.find({
+            action,
+            resourceType,
+            resourceId,
+            userId,
+            from: from && new Date(from).toISOString(),
+            to: to && new Date(to).toISOString()
+        }, { limit, offset });
+
+        res.json({ ...result, limit, offset });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+module.exports = router;
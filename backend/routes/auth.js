@@ -0,0 +1,61 @@
+// backend/routes/auth.js
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { authenticate, getToken } = require('../middleware/auth');
+const { SESSION_COOKIE, SESSION_TTL_MS } = require('../config');
+
+const router = express.Router();
+
+// Log in with username and password. The session token is set as an
+// HttpOnly cookie for the browser pages and also returned for API clients.
+router.post('/login', (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+
+        const user = User.authenticate(username.trim(), password);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        const session = Session.create(user.id);
+        res.cookie(SESSION_COOKIE, session.token, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: process.env.NODE_ENV === 'production',
+            maxAge: SESSION_TTL_MS
+        });
+
+        res.json({
+            success: true,
+            user: { id: user.id, username: user.username, role: user.role },
+            token: session.token,
+            expiresAt: session.expiresAt.toISOString()
+        });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+// End the current session
+router.post('/logout', (req, res) => {
+    try {
+        Session.deleteByToken(getToken(req));
+        res.clearCookie(SESSION_COOKIE);
+        res.json({ success: true, message: 'Logged out' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+// Get the logged in user
+router.get('/me', authenticate, (req, res) => {
+    res.json(req.user);
+});
+
+module.exports = router;
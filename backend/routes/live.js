@@ -0,0 +1,230 @@
+// backend/routes/live.js
+const express = require('express');
+const liveSessions = require('../services/liveSessions');
+const Session = require('../models/Session');
+const Policy = require('../models/Policy');
+const audit = require('../utils/audit');
+const { requireRole, getToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_EVENTS_PER_UPDATE = 100;
+const MAX_MESSAGE_LENGTH = 500;
+const EVENT_TYPES = ['info', 'success', 'warning', 'error'];
+const FOCUS_STATES = ['focused', 'looking-away', 'no-face', 'multiple-faces'];
+const IDENTITY_STATES = ['pending', 'verified', 'mismatch'];
+const AUDIO_STATES = ['quiet', 'speaking', 'multiple-voices', 'whispering', 'unavailable'];
+const BROWSER_STATES = ['focused', 'away', 'not-fullscreen', 'screen-share-stopped', 'second-display', 'resized'];
+// Comment lines sent on idle streams so proxies do not close them
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Validate an update pushed by the interviewer's browser, returning a list of { field, message }
+function validateUpdate(update) {
+    const { events, status } = update;
+    const errors = [];
+    if (events !== undefined) {
+        const valid = Array.isArray(events) && events.length <= MAX_EVENTS_PER_UPDATE && events.every(event =>
+            event && typeof event.timestamp === 'string' && event.timestamp.length <= 30 &&
+            typeof event.message === 'string' && event.message.length <= MAX_MESSAGE_LENGTH &&
+            EVENT_TYPES.includes(event.type));
+        if (!valid) {
+            errors.push({
+                field: 'events',
+                message: `must be a list of at most ${MAX_EVENTS_PER_UPDATE} { timestamp, message, type } entries`
+            });
+        }
+    }
+    Object.keys(liveSessions.COUNTER_KEYS).forEach(group => {
+        const counters = update[group];
+        if (counters === undefined) return;
+        const valid = counters && typeof counters === 'object' && Object.entries(counters).every(([key, count]) =>
+            liveSessions.COUNTER_KEYS[group].includes(key) && Number.isInteger(count) && count >= 0);
+        if (!valid) {
+            errors.push({
+                field: group,
+                message: `must map ${liveSessions.COUNTER_KEYS[group].join(', ')} to non-negative integers`
+            });
+        }
+    });
+    if (status !== undefined) {
+        if (!status || typeof status !== 'object') {
+            errors.push({ field: 'status', message: 'must be an object' });
+        } else {
+            if (status.focus !== undefined && status.focus !== null && !FOCUS_STATES.includes(status.focus)) {
+                errors.push({ field: 'status.focus', message: `must be one of ${FOCUS_STATES.join(', ')}` });
+            }
+            if (status.objects !== undefined && (!Array.isArray(status.objects) || status.objects.length > 20 ||
+                !status.objects.every(item => typeof item === 'string' && item.length <= 50))) {
+                errors.push({ field: 'status.objects', message: 'must be a list of detected object names' });
+            }
+            if (status.identity !== undefined && status.identity !== null && !IDENTITY_STATES.includes(status.identity)) {
+                errors.push({ field: 'status.identity', message: `must be one of ${IDENTITY_STATES.join(', ')}` });
+            }
+            if (status.audio !== undefined && status.audio !== null && !AUDIO_STATES.includes(status.audio)) {
+                errors.push({ field: 'status.audio', message: `must be one of ${AUDIO_STATES.join(', ')}` });
+            }
+            if (status.browser !== undefined && status.browser !== null && !BROWSER_STATES.includes(status.browser)) {
+                errors.push({ field: 'status.browser', message: `must be one of ${BROWSER_STATES.join(', ')}` });
+            }
+        }
+    }
+    return errors;
+}
+
+// Only the interviewer running a session (or an admin) may update it
+function findOwnSession(req) {
+    const session = liveSessions.findById(req.params.id);
+    if (!session || (session.interviewer.id !== req.user.id && req.user.role !== 'admin')) {
+        return null;
+    }
+    return session;
+}
+
+// Pick the update fields from a request body
+function updateFromBody(body) {
+    const { events, status } = body;
+    const update = { events };
+    Object.keys(liveSessions.COUNTER_KEYS).forEach(group => {
+        update[group] = body[group];
+    });
+    if (status) {
+        update.status = {};
+        ['focus', 'objects', 'identity', 'audio', 'browser'].forEach(field => {
+            if (status[field] !== undefined) update.status[field] = status[field];
+        });
+    }
+    return update;
+}
+
+// Announce an interview that is starting
+router.post('/sessions', requireRole('interviewer'), (req, res) => {
+    try {
+        const { candidateName = 'Test Candidate', policyId } = req.body || {};
+        const errors = [];
+        if (typeof candidateName !== 'string' || !candidateName.trim() || candidateName.length > 100) {
+            errors.push({ field: 'candidateName', message: 'must be a non-empty string of at most 100 characters' });
+        }
+        // The live score uses the deductions of the interview's detection policy
+        const policy = policyId === undefined || policyId === null
+            ? Policy.findOrDefault(null)
+            : typeof policyId === 'string' && Policy.findById(policyId);
+        if (!policy) {
+            errors.push({ field: 'policyId', message: 'must be the id of a detection policy' });
+        }
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid session data', details: errors });
+        }
+
+        const session = liveSessions.start({ candidateName: candidateName.trim(), interviewer: req.user, policy });
+        res.status(201).json({ success: true, session: liveSessions.toPublic(session) });
+    } catch (error) {
+        console.error('Error starting live session:', error);
+        res.status(500).json({ error: 'Failed to start live session' });
+    }
+});
+
+// Push new events, counters and detection status. Also serves as the heartbeat.
+router.post('/sessions/:id/events', requireRole('interviewer'), (req, res) => {
+    try {
+        const session = findOwnSession(req);
+        if (!session) {
+            return res.status(404).json({ error: 'Live session not found' });
+        }
+        if (session.state === 'ended') {
+            return res.status(409).json({ error: 'Live session has ended' });
+        }
+
+        const body = req.body || {};
+        const errors = validateUpdate(body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid session data', details: errors });
+        }
+
+        const updated = liveSessions.update(session.id, updateFromBody(body));
+        res.json({ success: true, integrityScore: updated.integrityScore, eventCount: updated.eventCount });
+    } catch (error) {
+        console.error('Error updating live session:', error);
+        res.status(500).json({ error: 'Failed to update live session' });
+    }
+});
+
+// Finish a session, optionally with a last update
+router.post('/sessions/:id/end', requireRole('interviewer'), (req, res) => {
+    try {
+        const session = findOwnSession(req);
+        if (!session) {
+            return res.status(404).json({ error: 'Live session not found' });
+        }
+
+        const body = req.body || {};
+        const errors = validateUpdate(body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid session data', details: errors });
+        }
+
+        liveSessions.update(session.id, updateFromBody(body));
+        const ended = liveSessions.end(session.id);
+        res.json({ success: true, message: 'Live session ended', session: liveSessions.toPublic(ended) });
+    } catch (error) {
+        console.error('Error ending live session:', error);
+        res.status(500).json({ error: 'Failed to end live session' });
+    }
+});
+
+// Current sessions with their recent events
+router.get('/sessions', requireRole('reviewer'), (req, res) => {
+    try {
+        res.json({
+            sessions: liveSessions.findAll().map(session => liveSessions.toPublic(session, { withEvents: true }))
+        });
+    } catch (error) {
+        console.error('Error fetching live sessions:', error);
+        res.status(500).json({ error: 'Failed to fetch live sessions' });
+    }
+});
+
+// Server-Sent Events stream for the proctor dashboard. Sends a "snapshot" of
+// every session on connect, then "update" ({ session, events }) and
+// "remove" ({ id }) events as interviews progress. The stream is closed
+// once the proctor's login session expires.
+router.get('/stream', requireRole('reviewer'), (req, res) => {
+    try {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        const token = getToken(req);
+
+        send('snapshot', {
+            sessions: liveSessions.findAll().map(session => liveSessions.toPublic(session, { withEvents: true }))
+        });
+        const unsubscribe = liveSessions.subscribe(({ type, data }) => send(type, data));
+        const heartbeat = setInterval(() => {
+            if (!Session.findUserByToken(token)) {
+                return res.end();
+            }
+            res.write(': heartbeat\n\n');
+        }, STREAM_HEARTBEAT_MS);
+
+        audit(req, 'live.watch', 'live_session', null);
+
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    } catch (error) {
+        console.error('Error opening live session stream:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to open live session stream' });
+        } else {
+            res.end();
+        }
+    }
+});
+
+module.exports = router;
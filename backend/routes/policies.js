@@ -0,0 +1,109 @@
+// backend/routes/policies.js
+// Detection policies. Every signed-in user can read them (the interview page
+// loads one at start); only admins create, change or delete them.
+const express = require('express');
+const Policy = require('../models/Policy');
+const generateId = require('../utils/generateId');
+const audit = require('../utils/audit');
+const { validatePolicy, ITEM_CLASSES } = require('../utils/validatePolicy');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// List policies, the default policy id and the item classes policies can use
+router.get('/', (req, res) => {
+    try {
+        res.json({
+            defaultPolicyId: Policy.DEFAULT_POLICY_ID,
+            itemClasses: ITEM_CLASSES,
+            policies: Policy.findAll()
+        });
+    } catch (error) {
+        console.error('Error fetching policies:', error);
+        res.status(500).json({ error: 'Failed to fetch policies' });
+    }
+});
+
+router.get('/:id', (req, res) => {
+    try {
+        const policy = Policy.findById(req.params.id);
+        if (!policy) {
+            return res.status(404).json({ error: 'Policy not found' });
+        }
+        res.json(policy);
+    } catch (error) {
+        console.error('Error fetching policy:', error);
+        res.status(500).json({ error: 'Failed to fetch policy' });
+    }
+});
+
+router.post('/', requireRole(), (req, res) => {
+    try {
+        const { value, errors } = validatePolicy(req.body || {});
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid policy data', details: errors });
+        }
+        if (Policy.findByName(value.name)) {
+            return res.status(409).json({ error: 'A policy with this name already exists' });
+        }
+
+        const policy = Policy.create({ id: generateId(), ...value, createdBy: req.user.id });
+        audit(req, 'policy.create', 'policy', policy.id, { name: policy.name });
+
+        res.status(201).json(policy);
+    } catch (error) {
+        console.error('Error creating policy:', error);
+        res.status(500).json({ error: 'Failed to create policy' });
+    }
+});
+
+// Change a policy's name, description or settings. Reports keep the copy of
+// the policy they were made with.
+router.patch('/:id', requireRole(), (req, res) => {
+    try {
+        const policy = Policy.findById(req.params.id);
+        if (!policy) {
+            return res.status(404).json({ error: 'Policy not found' });
+        }
+
+        const body = req.body || {};
+        const { value, errors } = validatePolicy(body, { partial: true });
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid policy data', details: errors });
+        }
+        const existing = value.name ? Policy.findByName(value.name) : null;
+        if (existing && existing.id !== policy.id) {
+            return res.status(409).json({ error: 'A policy with this name already exists' });
+        }
+
+        const updated = Policy.update({ ...policy, ...value });
+        audit(req, 'policy.update', 'policy', policy.id, { fields: Object.keys(body) });
+
+        res.json(updated);
+    } catch (error) {
+        console.error('Error updating policy:', error);
+        res.status(500).json({ error: 'Failed to update policy' });
+    }
+});
+
+// Delete a custom policy. Sessions that used it fall back to the default policy.
+router.delete('/:id', requireRole(), (req, res) => {
+    try {
+        const policy = Policy.findById(req.params.id);
+        if (!policy) {
+            return res.status(404).json({ error: 'Policy not found' });
+        }
+        if (policy.builtin) {
+            return res.status(409).json({ error: 'Built-in policies cannot be deleted' });
+        }
+
+        Policy.deleteById(policy.id);
+        audit(req, 'policy.delete', 'policy', policy.id, { name: policy.name });
+        res.json({ success: true, message: 'Policy deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting policy:', error);
+        res.status(500).json({ error: 'Failed to delete policy' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,478 @@
+// backend/routes/reports.js
+const express = require('express');
+const db = require('../db');
+const Report = require('../models/Report');
+const Video = require('../models/Video');
+const InterviewSession = require('../models/InterviewSession');
+const Policy = require('../models/Policy');
+const generateId = require('../utils/generateId');
+const audit = require('../utils/audit');
+const { requireRole } = require('../middleware/auth');
+const { LATEST_VERSION, VERSIONS, scoreReport } = require('../utils/scoring');
+const { validateReport } = require('../utils/validateReport');
+const { parseReportQuery, parseExportQuery, parseIds, MAX_EXPORT_IDS } = require('../utils/reportQuery');
+const { writeCsv, writeNdjson, writeZip } = require('../services/export');
+const { renderReportPdf } = require('../services/pdf');
+const webhooks = require('../services/webhooks');
+const { generateReportContent } = require('../utils/reportContent');
+const { sendVideo, isInitialVideoRequest } = require('../utils/videoFiles');
+const { purgeDate } = require('../services/trash');
+
+const router = express.Router();
+
+// Scoring version requested for a re-score, the latest by default
+function parseScoringVersion(value, errors) {
+    if (value === undefined || value === null) return LATEST_VERSION;
+    if (!VERSIONS.includes(value)) {
+        errors.push({ field: 'version', message: `must be one of ${VERSIONS.join(', ')}` });
+    }
+    return value;
+}
+
+// Recompute and store a report's score. Returns { id, previousScore, integrityScore, scoreDetails }.
+function rescore(report, version) {
+    const { integrityScore, scoreDetails } = scoreReport(report, version);
+    Report.updateScore(report.id, { integrityScore, scoringVersion: version, scoreDetails });
+    return { id: report.id, previousScore: report.integrityScore, integrityScore, scoreDetails };
+}
+
+// Recording metadata included with a report
+function videoMetadata(video) {
+    return {
+        id: video.id,
+        filename: video.filename,
+        mimeType: video.mimeType,
+        kind: video.kind,
+        startedAt: video.startedAt,
+        size: video.size,
+        duration: video.duration,
+        status: video.status,
+        createdAt: video.createdAt,
+        purgedAt: video.purgedAt
+    };
+}
+
+// Search reports, one page at a time. Query parameters:
+// q (candidate name), from, to, minScore, maxScore, issues (comma separated,
+// e.g. phone,multipleFaces), sort, order, page, limit
+router.get('/', requireRole('reviewer'), (req, res) => {
+    try {
+        const { value, errors } = parseReportQuery(req.query);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid query', details: errors });
+        }
+
+        const { filters, page, limit, sort, order } = value;
+        const { total, reports } = Report.search(filters, {
+            limit,
+            offset: (page - 1) * limit,
+            sort,
+            order
+        });
+
+        res.json({
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+            sort,
+            order,
+            reports
+        });
+    } catch (error) {
+        console.error('Error fetching reports:', error);
+        res.status(500).json({ error: 'Failed to fetch reports' });
+    }
+});
+
+// Get reports in the trash with the date each will be purged (admins only)
+router.get('/trash', requireRole(), (req, res) => {
+    try {
+        res.json(Report.findDeleted().map(report => ({
+            ...report,
+            purgeAt: purgeDate(report)
+        })));
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+});
+
+// Export reports in bulk as CSV, NDJSON or a ZIP archive with recordings.
+// Exports the reports selected with ?ids=a,b,c, or every report matching
+// the same filters as GET /api/reports.
+router.get('/export', requireRole('reviewer'), async (req, res) => {
+    try {
+        const { value, errors } = parseExportQuery(req.query);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid query', details: errors });
+        }
+
+        const { filters, sort, order, format } = value;
+        const filename = `proctoring-reports-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        // ZIP exports are limited to a selection of reports, so they are read
+        // in full; CSV and NDJSON exports read the reports a page at a time
+        // as the client downloads them
+        if (format === 'zip') {
+            const reports = Array.from(Report.iterate(filters, { sort, order, withEvents: true }));
+            if (!reports.length) {
+                res.removeHeader('Content-Disposition');
+                return res.status(404).json({ error: 'No reports found' });
+            }
+            audit(req, 'report.export', 'report', null, {
+                format,
+                count: reports.length,
+                ids: reports.map(report => report.id)
+            });
+            await writeZip(res, reports);
+            return;
+        }
+
+        const reports = Report.iterate(filters, { sort, order, withEvents: format === 'ndjson' });
+        const count = format === 'csv' ? await writeCsv(res, reports) : await writeNdjson(res, reports);
+        audit(req, 'report.export', 'report', null, { format, count, filters });
+    } catch (error) {
+        // The client closed the connection before the download finished
+        if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+        console.error('Error exporting reports:', error);
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({ error: 'Failed to export reports' });
+    }
+});
+
+// Get a specific report by ID
+router.get('/:id', requireRole('reviewer'), (req, res) => {
+    try {
+        const report = Report.findById(req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        report.videos = Video.findByReportId(report.id).map(videoMetadata);
+        report.session = report.sessionId ? InterviewSession.findById(report.sessionId) : null;
+        audit(req, 'report.view', 'report', report.id);
+        res.json(report);
+    } catch (error) {
+        console.error('Error fetching report:', error);
+        res.status(500).json({ error: 'Failed to fetch report' });
+    }
+});
+
+// Save a new report
+router.post('/', requireRole('interviewer'), (req, res) => {
+    try {
+        const { value, errors } = validateReport(req.body);
+        if (!errors.length) {
+            value.videoIds.forEach((videoId, index) => {
+                const video = Video.findById(videoId);
+                if (!video) {
+                    errors.push({ field: `videoIds[${index}]`, message: 'video not found' });
+                } else if (video.reportId) {
+                    errors.push({ field: `videoIds[${index}]`, message: 'video already belongs to another report' });
+                } else if (video.createdBy !== req.user.id && req.user.role !== 'admin') {
+                    errors.push({ field: `videoIds[${index}]`, message: 'video was uploaded by another user' });
+                }
+            });
+        }
+        // Reports for a scheduled interview take the candidate from the session
+        let session = null;
+        if (!errors.length && value.sessionId) {
+            session = InterviewSession.findById(value.sessionId);
+            if (!session || !InterviewSession.isRunBy(session, req.user)) {
+                errors.push({ field: 'sessionId', message: 'interview session not found' });
+            } else if (!InterviewSession.OPEN_STATUSES.includes(session.status)) {
+                errors.push({ field: 'sessionId', message: `interview session is ${session.status}` });
+            } else {
+                value.candidateName = session.candidateName;
+            }
+        }
+        // Reports are scored with the deductions of the policy the interview
+        // ran with. A session's policy is fixed when it is scheduled, so the
+        // body may only name another policy for interviews without one.
+        let policy = null;
+        if (!errors.length && session && session.policy && value.policyId && value.policyId !== session.policy.id) {
+            errors.push({ field: 'policyId', message: 'must match the policy of the interview session' });
+        }
+        if (!errors.length) {
+            const policyId = session && session.policy ? session.policy.id : value.policyId;
+            policy = policyId ? Policy.findById(policyId) : null;
+            if (policyId && !policy) {
+                errors.push({ field: 'policyId', message: 'detection policy not found' });
+            }
+        }
+        if (errors.length) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid report data',
+                details: errors
+            });
+        }
+
+        const { videoIds, policyId, ...reportData } = value;
+        reportData.policy = policy ? Policy.snapshot(policy) : null;
+
+        // The integrity score is always computed here with the latest scoring
+        // rules; any client-supplied score is ignored
+        const now = new Date().toISOString();
+        const report = db.transaction(() => {
+            const created = Report.create({
+                id: generateId(),
+                timestamp: now,
+                ...reportData,
+                ...scoreReport(reportData, LATEST_VERSION),
+                scoringVersion: LATEST_VERSION,
+                scoredAt: now,
+                createdBy: req.user.id
+            });
+            Video.attachToReport(videoIds, created.id);
+            if (session) {
+                InterviewSession.markCompleted(session.id);
+            }
+            return created;
+        })();
+        audit(req, 'report.create', 'report', report.id, {
+            candidateName: report.candidateName,
+            sessionId: report.sessionId,
+            policyId: report.policy ? report.policy.id : null,
+            videoIds
+        });
+        webhooks.emit('report.created', { report: webhooks.reportPayload(report), videoIds });
+        webhooks.emit('report.flagged', { report: webhooks.reportPayload(report) });
+
+        res.status(201).json({
+            success: true,
+            message: 'Report saved successfully',
+            id: report.id,
+            integrityScore: report.integrityScore
+        });
+    } catch (error) {
+        console.error('Error saving report:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save report'
+        });
+    }
+});
+
+// Download report as file
+router.get('/:id/download', requireRole('reviewer'), (req, res) => {
+    try {
+        const report = Report.findById(req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+
+        const reportContent = generateReportContent(report);
+        const filename = `proctoring-report-${report.id}.txt`;
+        audit(req, 'report.download', 'report', report.id, { format: 'txt' });
+
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Content-Type', 'text/plain');
+        res.send(reportContent);
+    } catch (error) {
+        console.error('Error downloading report:', error);
+        res.status(500).json({ error: 'Failed to download report' });
+    }
+});
+
+// Download the report as a PDF rendered on the server from pdf-template.html.
+// Reviewers can download any report; interviewers only the ones they created.
+router.get('/:id/pdf', requireRole('reviewer', 'interviewer'), async (req, res) => {
+    try {
+        const report = Report.findById(req.params.id);
+        const canView = report && (req.user.role !== 'interviewer' || report.createdBy === req.user.id);
+        if (!canView) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+
+        const pdf = await renderReportPdf(report);
+        audit(req, 'report.download', 'report', report.id, { format: 'pdf' });
+
+        res.setHeader('Content-Disposition', `attachment; filename="proctoring-report-${report.id}.pdf"`);
+        res.type('application/pdf');
+        res.send(pdf);
+    } catch (error) {
+        console.error('Error rendering report PDF:', error);
+        res.status(500).json({ error: 'Failed to generate report PDF' });
+    }
+});
+
+// Stream the recording of a report. Serves the most recent completed webcam
+// recording unless a specific one (e.g. a screen recording) is selected with ?videoId=
+router.get('/:id/video', requireRole('reviewer'), (req, res) => {
+    try {
+        if (!Report.exists(req.params.id)) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+
+        const videos = Video.findByReportId(req.params.id)
+            .filter(video => video.status === 'complete');
+        const video = req.query.videoId
+            ? videos.find(v => v.id === req.query.videoId)
+            : videos.filter(v => v.kind === 'webcam').pop();
+
+        if (!video) {
+            return res.status(404).json({ error: 'No video recording found for this report' });
+        }
+
+        if (isInitialVideoRequest(req)) {
+            audit(req, 'video.view', 'video', video.id, { reportId: req.params.id });
+        }
+        sendVideo(res, video);
+    } catch (error) {
+        console.error('Error fetching report video:', error);
+        res.status(500).json({ error: 'Failed to fetch report video' });
+    }
+});
+
+// Move a report to the trash (admins only). It can be restored until it is
+// purged together with its recordings after TRASH_RETENTION_DAYS.
+router.delete('/:id', requireRole(), (req, res) => {
+    try {
+        if (!Report.softDelete(req.params.id, req.user.id)) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+
+        const report = Report.findById(req.params.id, { includeDeleted: true });
+        audit(req, 'report.delete', 'report', report.id, { candidateName: report.candidateName });
+        webhooks.emit('report.deleted', { report: webhooks.reportPayload(report) });
+
+        res.json({
+            success: true,
+            message: 'Report moved to trash',
+            purgeAt: purgeDate(report)
+        });
+    } catch (error) {
+        console.error('Error deleting report:', error);
+        res.status(500).json({ error: 'Failed to delete report' });
+    }
+});
+
+// Move several reports to the trash at once (admins only). Body: { ids: [...] }
+router.post('/bulk-delete', requireRole(), (req, res) => {
+    try {
+        const errors = [];
+        const ids = parseIds((req.body && req.body.ids) || [], 'ids', MAX_EXPORT_IDS, errors);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid request', details: errors });
+        }
+
+        const deleted = db.transaction(() => ids.filter(id => Report.softDelete(id, req.user.id)))();
+        deleted.forEach(id => {
+            audit(req, 'report.delete', 'report', id, { bulk: true });
+            webhooks.emit('report.deleted', {
+                report: webhooks.reportPayload(Report.findById(id, { includeDeleted: true }))
+            });
+        });
+
+        res.json({
+            success: true,
+            message: `${deleted.length} report${deleted.length !== 1 ? 's' : ''} moved to trash`,
+            deleted,
+            notFound: ids.filter(id => !deleted.includes(id))
+        });
+    } catch (error) {
+        console.error('Error deleting reports:', error);
+        res.status(500).json({ error: 'Failed to delete reports' });
+    }
+});
+
+// Recompute the scores of several reports with the latest scoring rules, or
+// the version in body.version (admins only). Body: { ids: [...], version }.
+// Without ids every report that is not in the trash is re-scored.
+router.post('/rescore', requireRole(), (req, res) => {
+    try {
+        const body = req.body || {};
+        const errors = [];
+        const version = parseScoringVersion(body.version, errors);
+        const ids = body.ids === undefined ? null : parseIds(body.ids, 'ids', MAX_EXPORT_IDS, errors);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid request', details: errors });
+        }
+
+        // Load the reports first: the database cannot be written while a query is iterating
+        const reports = [...Report.iterate(ids ? { ids } : {})];
+        const results = db.transaction(() => reports.map(report => rescore(report, version)))();
+        const changed = results.filter(result => result.integrityScore !== result.previousScore);
+        changed.forEach(result => {
+            audit(req, 'report.rescore', 'report', result.id, {
+                previousScore: result.previousScore,
+                integrityScore: result.integrityScore,
+                scoringVersion: version,
+                bulk: true
+            });
+        });
+
+        res.json({
+            success: true,
+            message: `${results.length} report${results.length !== 1 ? 's' : ''} re-scored, ${changed.length} changed`,
+            scoringVersion: version,
+            rescored: results.length,
+            changed,
+            notFound: ids ? ids.filter(id => !results.some(result => result.id === id)) : []
+        });
+    } catch (error) {
+        console.error('Error re-scoring reports:', error);
+        res.status(500).json({ error: 'Failed to re-score reports' });
+    }
+});
+
+// Recompute a report's score with the latest scoring rules, or the version
+// in body.version (admins only)
+router.post('/:id/rescore', requireRole(), (req, res) => {
+    try {
+        const errors = [];
+        const version = parseScoringVersion((req.body || {}).version, errors);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid request', details: errors });
+        }
+
+        const report = Report.findById(req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+
+        const result = rescore(report, version);
+        audit(req, 'report.rescore', 'report', report.id, {
+            previousScore: result.previousScore,
+            integrityScore: result.integrityScore,
+            previousVersion: report.scoringVersion,
+            scoringVersion: version
+        });
+
+        res.json({
+            success: true,
+            message: 'Report re-scored',
+            ...result,
+            scoringVersion: version
+        });
+    } catch (error) {
+        console.error('Error re-scoring report:', error);
+        res.status(500).json({ error: 'Failed to re-score report' });
+    }
+});
+
+// Restore a report from the trash (admins only)
+router.post('/:id/restore', requireRole(), (req, res) => {
+    try {
+        if (!Report.restore(req.params.id)) {
+            return res.status(404).json({ error: 'Report not found in trash' });
+        }
+
+        audit(req, 'report.restore', 'report', req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Report restored successfully'
+        });
+    } catch (error) {
+        console.error('Error restoring report:', error);
+        res.status(500).json({ error: 'Failed to restore report' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,292 @@
+// backend/routes/sessions.js
+// Scheduled interview sessions. Reviewers schedule interviews and share the
+// join link (index.html?session=<joinToken>) with the assigned interviewer,
+// whose report and recording are then bound to the session.
+const express = require('express');
+const InterviewSession = require('../models/InterviewSession');
+const User = require('../models/User');
+const Policy = require('../models/Policy');
+const audit = require('../utils/audit');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 200;
+const MAX_EMAIL_LENGTH = 254;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_LIST_SIZE = 500;
+// Statuses a reviewer may set directly; the others follow the interview
+const EDITABLE_STATUSES = ['scheduled', 'cancelled'];
+const INTERVIEWER_ROLES = ['interviewer', 'admin'];
+
+function isInterviewer(user) {
+    return Boolean(user && INTERVIEWER_ROLES.includes(user.role));
+}
+
+function parseDate(value, field, errors) {
+    const date = new Date(value);
+    if (typeof value !== 'string' || !value || isNaN(date.getTime())) {
+        errors.push({ field, message: 'must be a valid date' });
+        return undefined;
+    }
+    return date.toISOString();
+}
+
+// Validate and normalise session fields.
+// Returns { value, errors } where errors is a list of { field, message }.
+function validateSession(body, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+
+    if (!partial || body.candidateName !== undefined) {
+        if (typeof body.candidateName !== 'string' || !body.candidateName.trim() ||
+            body.candidateName.trim().length > MAX_NAME_LENGTH) {
+            errors.push({ field: 'candidateName', message: `must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+        } else {
+            value.candidateName = body.candidateName.trim();
+        }
+    }
+    if (!partial || body.candidateEmail !== undefined) {
+        const email = typeof body.candidateEmail === 'string' ? body.candidateEmail.trim() : '';
+        if (!EMAIL_PATTERN.test(email) || email.length > MAX_EMAIL_LENGTH) {
+            errors.push({ field: 'candidateEmail', message: 'must be a valid email address' });
+        } else {
+            value.candidateEmail = email;
+        }
+    }
+    if (body.position !== undefined && body.position !== null) {
+        if (typeof body.position !== 'string' || body.position.trim().length > MAX_NAME_LENGTH) {
+            errors.push({ field: 'position', message: `must be a string of at most ${MAX_NAME_LENGTH} characters` });
+        } else {
+            value.position = body.position.trim() || null;
+        }
+    } else if (body.position === null) {
+        value.position = null;
+    }
+    if (!partial || body.interviewerId !== undefined) {
+        const interviewer = typeof body.interviewerId === 'string' ? User.findById(body.interviewerId) : null;
+        if (!isInterviewer(interviewer)) {
+            errors.push({ field: 'interviewerId', message: 'must be the id of an interviewer account' });
+        } else {
+            value.interviewer = { id: interviewer.id, username: interviewer.username };
+        }
+    }
+    if (!partial || body.scheduledAt !== undefined) {
+        value.scheduledAt = parseDate(body.scheduledAt, 'scheduledAt', errors);
+    }
+    // Sessions without a policy run with the default one
+    if (body.policyId !== undefined && body.policyId !== null && body.policyId !== '') {
+        const policy = typeof body.policyId === 'string' ? Policy.findById(body.policyId) : null;
+        if (!policy) {
+            errors.push({ field: 'policyId', message: 'must be the id of a detection policy' });
+        } else {
+            value.policy = { id: policy.id, name: policy.name };
+        }
+    } else if (body.policyId !== undefined) {
+        value.policy = null;
+    }
+    if (partial && body.status !== undefined) {
+        if (!EDITABLE_STATUSES.includes(body.status)) {
+            errors.push({ field: 'status', message: `must be one of ${EDITABLE_STATUSES.join(', ')}` });
+        } else {
+            value.status = body.status;
+        }
+    }
+
+    return { value, errors };
+}
+
+// Validate the query string of GET /api/sessions
+function parseSessionQuery(query) {
+    const errors = [];
+    const filters = {};
+
+    if (query.status !== undefined && query.status !== '') {
+        if (!InterviewSession.STATUSES.includes(query.status)) {
+            errors.push({ field: 'status', message: `must be one of ${InterviewSession.STATUSES.join(', ')}` });
+        } else {
+            filters.status = query.status;
+        }
+    }
+    if (typeof query.interviewerId === 'string' && query.interviewerId) {
+        filters.interviewerId = query.interviewerId;
+    }
+    ['from', 'to'].forEach(field => {
+        if (query[field] !== undefined && query[field] !== '') {
+            filters[field] = parseDate(query[field], field, errors);
+        }
+    });
+
+    return { filters, errors };
+}
+
+// Interviewers only see the sessions assigned to them
+function canView(req, session) {
+    return req.user.role !== 'interviewer' || InterviewSession.isRunBy(session, req.user);
+}
+
+// Accounts that can be assigned to an interview
+router.get('/interviewers', requireRole('reviewer'), (req, res) => {
+    try {
+        res.json(User.findAll()
+            .filter(isInterviewer)
+            .map(user => ({ id: user.id, username: user.username, role: user.role })));
+    } catch (error) {
+        console.error('Error fetching interviewers:', error);
+        res.status(500).json({ error: 'Failed to fetch interviewers' });
+    }
+});
+
+// List sessions, earliest first. Query parameters: status, interviewerId,
+// from, to (scheduled date range). Interviewers only get their own sessions.
+router.get('/', requireRole('interviewer', 'reviewer'), (req, res) => {
+    try {
+        const { filters, errors } = parseSessionQuery(req.query);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid query', details: errors });
+        }
+        if (req.user.role === 'interviewer') {
+            filters.interviewerId = req.user.id;
+        }
+
+        res.json(InterviewSession.findAll(filters, { limit: MAX_LIST_SIZE }));
+    } catch (error) {
+        console.error('Error fetching interview sessions:', error);
+        res.status(500).json({ error: 'Failed to fetch interview sessions' });
+    }
+});
+
+// Schedule an interview. The join token is only returned in this response
+// (and when it is rotated).
+router.post('/', requireRole('reviewer'), (req, res) => {
+    try {
+        const { value, errors } = validateSession(req.body || {});
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid session data', details: errors });
+        }
+
+        const { session, joinToken } = InterviewSession.create({
+            ...value,
+            interviewerId: value.interviewer.id,
+            policyId: value.policy ? value.policy.id : null,
+            createdBy: req.user.id
+        });
+        audit(req, 'session.create', 'interview_session', session.id, {
+            candidateName: session.candidateName,
+            interviewerId: value.interviewer.id,
+            policyId: value.policy ? value.policy.id : null,
+            scheduledAt: session.scheduledAt
+        });
+
+        res.status(201).json({ ...session, joinToken });
+    } catch (error) {
+        console.error('Error creating interview session:', error);
+        res.status(500).json({ error: 'Failed to create interview session' });
+    }
+});
+
+// Load the session behind a join link. Only the assigned interviewer (or an
+// admin) can open it, and only while it is scheduled or in progress.
+router.get('/join/:token', requireRole('interviewer'), (req, res) => {
+    try {
+        const session = InterviewSession.findByJoinToken(req.params.token);
+        if (!session || !InterviewSession.isRunBy(session, req.user)) {
+            return res.status(404).json({ error: 'Interview session not found' });
+        }
+        if (!InterviewSession.OPEN_STATUSES.includes(session.status)) {
+            return res.status(409).json({ error: `Interview session is ${session.status}`, session });
+        }
+        res.json(session);
+    } catch (error) {
+        console.error('Error joining interview session:', error);
+        res.status(500).json({ error: 'Failed to load interview session' });
+    }
+});
+
+router.get('/:id', requireRole('interviewer', 'reviewer'), (req, res) => {
+    try {
+        const session = InterviewSession.findById(req.params.id);
+        if (!session || !canView(req, session)) {
+            return res.status(404).json({ error: 'Interview session not found' });
+        }
+        res.json(session);
+    } catch (error) {
+        console.error('Error fetching interview session:', error);
+        res.status(500).json({ error: 'Failed to fetch interview session' });
+    }
+});
+
+// Change a session's candidate, interviewer, time or policy, or cancel it.
+// Completed sessions cannot be changed.
+router.patch('/:id', requireRole('reviewer'), (req, res) => {
+    try {
+        const session = InterviewSession.findById(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Interview session not found' });
+        }
+        if (session.status === 'completed') {
+            return res.status(409).json({ error: 'Interview session is completed' });
+        }
+
+        const body = req.body || {};
+        const { value, errors } = validateSession(body, { partial: true });
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid session data', details: errors });
+        }
+        if (value.status === 'scheduled' && session.status !== 'cancelled') {
+            delete value.status;
+        }
+
+        const updated = InterviewSession.update({ ...session, ...value });
+        audit(req, value.status === 'cancelled' ? 'session.cancel' : 'session.update', 'interview_session', session.id, {
+            fields: Object.keys(body)
+        });
+
+        res.json(updated);
+    } catch (error) {
+        console.error('Error updating interview session:', error);
+        res.status(500).json({ error: 'Failed to update interview session' });
+    }
+});
+
+// Issue a new join link; the previous one stops working
+router.post('/:id/join-token', requireRole('reviewer'), (req, res) => {
+    try {
+        const session = InterviewSession.findById(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Interview session not found' });
+        }
+        if (!InterviewSession.OPEN_STATUSES.includes(session.status)) {
+            return res.status(409).json({ error: `Interview session is ${session.status}` });
+        }
+
+        const joinToken = InterviewSession.rotateJoinToken(session.id);
+        audit(req, 'session.rotate_token', 'interview_session', session.id);
+
+        res.json({ success: true, message: 'Join link replaced', joinToken });
+    } catch (error) {
+        console.error('Error replacing join token:', error);
+        res.status(500).json({ error: 'Failed to replace join token' });
+    }
+});
+
+// Mark the interview as started, called by index.html when recording begins
+router.post('/:id/start', requireRole('interviewer'), (req, res) => {
+    try {
+        const session = InterviewSession.findById(req.params.id);
+        if (!session || !InterviewSession.isRunBy(session, req.user)) {
+            return res.status(404).json({ error: 'Interview session not found' });
+        }
+        if (!InterviewSession.OPEN_STATUSES.includes(session.status)) {
+            return res.status(409).json({ error: `Interview session is ${session.status}` });
+        }
+
+        InterviewSession.markStarted(session.id);
+        res.json({ success: true, message: 'Interview started', session: InterviewSession.findById(session.id) });
+    } catch (error) {
+        console.error('Error starting interview session:', error);
+        res.status(500).json({ error: 'Failed to start interview session' });
+    }
+});
+
+module.exports = router;
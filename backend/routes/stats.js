@@ -0,0 +1,26 @@
+// backend/routes/stats.js
+const express = require('express');
+const ReportStats = require('../models/ReportStats');
+const { requireRole } = require('../middleware/auth');
+const { parseStatsQuery } = require('../utils/reportQuery');
+
+const router = express.Router();
+
+// Aggregate statistics across reports: score distribution, violation
+// frequencies, average duration and a daily or weekly trend.
+// Query parameters: from, to, interval (day or week)
+router.get('/', requireRole('reviewer'), (req, res) => {
+    try {
+        const { value, errors } = parseStatsQuery(req.query, ReportStats.INTERVALS);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid query', details: errors });
+        }
+
+        res.json(ReportStats.compute(value));
+    } catch (error) {
+        console.error('Error computing stats:', error);
+        res.status(500).json({ error: 'Failed to compute stats' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// backend/routes/storage.js
+const express = require('express');
+const audit = require('../utils/audit');
+const { getUsage } = require('../services/storage');
+const { runRetentionJobs } = require('../services/retention');
+
+const router = express.Router();
+
+// Storage usage by type, with the upload quota and retention policy
+router.get('/', (req, res) => {
+    try {
+        res.json(getUsage());
+    } catch (error) {
+        console.error('Error computing storage usage:', error);
+        res.status(500).json({ error: 'Failed to compute storage usage' });
+    }
+});
+
+// Run the retention jobs now instead of waiting for the hourly schedule
+router.post('/retention/run', (req, res) => {
+    try {
+        const result = runRetentionJobs();
+        audit(req, 'retention.run', 'storage', null, result);
+        res.json({
+            success: true,
+            message: 'Retention policy applied',
+            ...result
+        });
+    } catch (error) {
+        console.error('Error applying retention policy:', error);
+        res.status(500).json({ error: 'Failed to apply retention policy' });
+    }
+});
+
+module.exports = router;
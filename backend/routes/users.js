@@ -0,0 +1,110 @@
+// backend/routes/users.js
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { ROLES } = require('../config');
+
+const router = express.Router();
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._@-]{3,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Validate user fields, returning a list of { field, message }
+function validateUser({ username, password, role }, { partial = false } = {}) {
+    const errors = [];
+    if (!partial || username !== undefined) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            errors.push({ field: 'username', message: 'must be 3-64 letters, digits or . _ @ -' });
+        }
+    }
+    if (!partial || password !== undefined) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            errors.push({ field: 'password', message: `must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+    }
+    if (!partial || role !== undefined) {
+        if (!ROLES.includes(role)) {
+            errors.push({ field: 'role', message: `must be one of ${ROLES.join(', ')}` });
+        }
+    }
+    return errors;
+}
+
+// List users
+router.get('/', (req, res) => {
+    try {
+        res.json(User.findAll());
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// Create a user
+router.post('/', (req, res) => {
+    try {
+        const body = req.body || {};
+        const errors = validateUser(body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid user data', details: errors });
+        }
+        if (User.findByUsername(body.username)) {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+
+        const user = User.create(body);
+        res.status(201).json(user);
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// Change a user's role or password. Existing sessions of the user are ended.
+router.patch('/:id', (req, res) => {
+    try {
+        const user = User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { role, password } = req.body || {};
+        const errors = validateUser({ role, password }, { partial: true });
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid user data', details: errors });
+        }
+        if (role && role !== 'admin' && user.role === 'admin' && User.countByRole('admin') === 1) {
+            return res.status(409).json({ error: 'Cannot remove the last admin' });
+        }
+
+        if (role) User.updateRole(user.id, role);
+        if (password) User.updatePassword(user.id, password);
+        Session.deleteByUserId(user.id);
+
+        res.json(User.findById(user.id));
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+// Delete a user
+router.delete('/:id', (req, res) => {
+    try {
+        const user = User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.id === req.user.id) {
+            return res.status(409).json({ error: 'You cannot delete your own account' });
+        }
+
+        User.deleteById(user.id);
+        res.json({ success: true, message: 'User deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+module.exports = router;
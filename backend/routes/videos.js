@@ -0,0 +1,292 @@
+// backend/routes/videos.js
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const multer = require('multer');
+const Report = require('../models/Report');
+const Video = require('../models/Video');
+const InterviewSession = require('../models/InterviewSession');
+const generateId = require('../utils/generateId');
+const audit = require('../utils/audit');
+const webhooks = require('../services/webhooks');
+const { checkUploadCapacity } = require('../services/storage');
+const { requireRole } = require('../middleware/auth');
+const { partPath, videoPath, isValidVideoFilename, sendVideo, isInitialVideoRequest } = require('../utils/videoFiles');
+const { MAX_CHUNK_SIZE, VIDEO_MIME_TYPES } = require('../config');
+
+const router = express.Router();
+
+// Chunks are small (one per second of recording), so keep them in memory until written
+const chunkUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_CHUNK_SIZE, files: 1 }
+});
+
+// Upload state returned to the client so it can resume
+function uploadStatus(upload) {
+    return {
+        uploadId: upload.id,
+        status: upload.status,
+        nextIndex: upload.chunkCount,
+        bytesReceived: upload.size
+    };
+}
+
+// Only the interviewer who started an upload (or an admin) may add to it
+function canModifyUpload(req, upload) {
+    return upload.createdBy === req.user.id || req.user.role === 'admin';
+}
+
+// SHA-256 checksums are sent as hex digests
+const CHECKSUM_PATTERN = /^[a-f0-9]{64}$/i;
+
+// Compute the SHA-256 of a file without loading it into memory
+function hashFile(filepath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filepath)
+            .on('data', data => hash.update(data))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// Start a chunked upload of a webcam or screen recording, optionally for a
+// scheduled interview session. startedAt is when the browser started
+// recording, so recordings of the same interview can be played in sync.
+router.post('/uploads', requireRole('interviewer'), (req, res) => {
+    try {
+        const { sessionId, kind = 'webcam', startedAt } = req.body || {};
+        const requestedType = (req.body && req.body.mimeType) || 'video/webm';
+        if (typeof requestedType !== 'string') {
+            return res.status(400).json({ error: 'mimeType must be a string' });
+        }
+        const mimeType = requestedType.split(';')[0];
+        const extension = VIDEO_MIME_TYPES[mimeType];
+        if (!extension) {
+            return res.status(400).json({ error: `Unsupported video type: ${mimeType}` });
+        }
+        if (!Video.KINDS.includes(kind)) {
+            return res.status(400).json({ error: `kind must be one of ${Video.KINDS.join(', ')}` });
+        }
+        if (startedAt !== undefined && startedAt !== null &&
+            (typeof startedAt !== 'string' || Number.isNaN(Date.parse(startedAt)))) {
+            return res.status(400).json({ error: 'startedAt must be an ISO date' });
+        }
+        if (sessionId !== undefined && sessionId !== null) {
+            const session = typeof sessionId === 'string' ? InterviewSession.findById(sessionId) : null;
+            if (!session || !InterviewSession.isRunBy(session, req.user)) {
+                return res.status(400).json({ error: 'Interview session not found' });
+            }
+            if (!InterviewSession.OPEN_STATUSES.includes(session.status)) {
+                return res.status(409).json({ error: `Interview session is ${session.status}` });
+            }
+        }
+
+        const capacityError = checkUploadCapacity();
+        if (capacityError) {
+            return res.status(507).json({ error: capacityError });
+        }
+
+        const id = generateId();
+        fs.writeFileSync(partPath(id), Buffer.alloc(0));
+        const upload = Video.create({
+            id,
+            filename: `video-${id}.${extension}`,
+            mimeType,
+            kind,
+            startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+            createdBy: req.user.id,
+            sessionId
+        });
+
+        res.status(201).json({
+            success: true,
+            ...uploadStatus(upload)
+        });
+    } catch (error) {
+        console.error('Error starting video upload:', error);
+        res.status(500).json({ error: 'Failed to start video upload' });
+    }
+});
+
+// Get upload progress, used by the client to resume after a dropped connection
+router.get('/uploads/:uploadId', requireRole('interviewer'), (req, res) => {
+    try {
+        const upload = Video.findById(req.params.uploadId);
+        if (!upload || !canModifyUpload(req, upload)) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        res.json(uploadStatus(upload));
+    } catch (error) {
+        console.error('Error fetching upload status:', error);
+        res.status(500).json({ error: 'Failed to fetch upload status' });
+    }
+});
+
+// Receive one chunk. Chunks must arrive in order; re-sending an
+// already stored chunk is acknowledged without writing it again. An optional
+// checksum field (SHA-256 of the chunk) is verified before the chunk is stored.
+router.put('/uploads/:uploadId/chunks/:index', requireRole('interviewer'), chunkUpload.single('chunk'), (req, res) => {
+    try {
+        const upload = Video.findById(req.params.uploadId);
+        if (!upload || !canModifyUpload(req, upload)) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        if (upload.status !== 'uploading') {
+            return res.status(409).json({ error: 'Upload already completed', ...uploadStatus(upload) });
+        }
+
+        const index = Number(req.params.index);
+        if (!Number.isInteger(index) || index < 0) {
+            return res.status(400).json({ error: 'Invalid chunk index' });
+        }
+        if (!req.file || req.file.size === 0) {
+            return res.status(400).json({ error: 'No chunk data provided' });
+        }
+        const { checksum } = req.body || {};
+        if (checksum !== undefined && (typeof checksum !== 'string' || !CHECKSUM_PATTERN.test(checksum))) {
+            return res.status(400).json({ error: 'checksum must be a SHA-256 hex digest' });
+        }
+
+        if (index < upload.chunkCount) {
+            return res.json({ success: true, duplicate: true, ...uploadStatus(upload) });
+        }
+        if (index > upload.chunkCount) {
+            return res.status(409).json({ error: 'Unexpected chunk index', ...uploadStatus(upload) });
+        }
+
+        if (checksum !== undefined &&
+            crypto.createHash('sha256').update(req.file.buffer).digest('hex') !== checksum.toLowerCase()) {
+            return res.status(422).json({ error: 'Chunk checksum mismatch', ...uploadStatus(upload) });
+        }
+
+        const capacityError = checkUploadCapacity(req.file.size);
+        if (capacityError) {
+            return res.status(507).json({ error: capacityError, ...uploadStatus(upload) });
+        }
+
+        // Write at the recorded offset so a previously interrupted write is overwritten
+        const fd = fs.openSync(partPath(upload.id), 'r+');
+        try {
+            fs.writeSync(fd, req.file.buffer, 0, req.file.size, upload.size);
+        } finally {
+            fs.closeSync(fd);
+        }
+        Video.recordChunk(upload.id, index, req.file.size);
+
+        res.json({
+            success: true,
+            ...uploadStatus(Video.findById(upload.id))
+        });
+    } catch (error) {
+        console.error('Error saving video chunk:', error);
+        res.status(500).json({ error: 'Failed to save video chunk' });
+    }
+});
+
+// Finish an upload: verify the chunk count and, if given, the checksum of the
+// whole file, then move the file into place. Clients that sent a checksum
+// with every chunk need not send one here.
+router.post('/uploads/:uploadId/complete', requireRole('interviewer'), async (req, res) => {
+    try {
+        const upload = Video.findById(req.params.uploadId);
+        if (!upload || !canModifyUpload(req, upload)) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        if (upload.status === 'complete') {
+            return res.json({ success: true, filename: upload.filename, ...uploadStatus(upload) });
+        }
+
+        const { checksum, totalChunks, duration } = req.body || {};
+        if (checksum !== undefined && (typeof checksum !== 'string' || !CHECKSUM_PATTERN.test(checksum))) {
+            return res.status(400).json({ error: 'checksum must be a SHA-256 hex digest' });
+        }
+        if (duration !== undefined && (typeof duration !== 'number' || !(duration >= 0))) {
+            return res.status(400).json({ error: 'duration must be a non-negative number of seconds' });
+        }
+        if (Number(totalChunks) !== upload.chunkCount) {
+            return res.status(409).json({ error: 'Upload is missing chunks', ...uploadStatus(upload) });
+        }
+
+        // Claim the upload before touching its file, so a second request for
+        // the same upload cannot verify and move it at the same time
+        if (!Video.markCompleting(upload.id)) {
+            return res.status(409).json({ error: 'Upload is already being completed', ...uploadStatus(upload) });
+        }
+
+        let actualChecksum;
+        try {
+            const partFile = partPath(upload.id);
+            fs.truncateSync(partFile, upload.size);
+
+            actualChecksum = await hashFile(partFile);
+            if (checksum !== undefined && actualChecksum !== checksum.toLowerCase()) {
+                Video.markUploading(upload.id);
+                return res.status(422).json({ error: 'Checksum mismatch', ...uploadStatus(upload) });
+            }
+
+            fs.renameSync(partFile, videoPath(upload));
+        } catch (error) {
+            Video.markUploading(upload.id);
+            throw error;
+        }
+        const video = Video.markComplete(upload.id, actualChecksum, duration);
+        webhooks.emit('video.uploaded', {
+            video: {
+                id: video.id,
+                filename: video.filename,
+                mimeType: video.mimeType,
+                kind: video.kind,
+                size: video.size,
+                duration: video.duration,
+                checksum: video.checksum,
+                createdBy: video.createdBy,
+                completedAt: video.completedAt
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'Video saved successfully',
+            filename: video.filename,
+            ...uploadStatus(video)
+        });
+    } catch (error) {
+        console.error('Error completing video upload:', error);
+        res.status(500).json({ error: 'Failed to complete video upload' });
+    }
+});
+
+// Get video by filename. Only completed recordings known to the database
+// can be served, so arbitrary paths under or outside videosDir are rejected.
+// Recordings of reports in the trash are hidden along with the report.
+router.get('/:filename', requireRole('reviewer'), (req, res) => {
+    try {
+        const filename = req.params.filename;
+        const video = isValidVideoFilename(filename) ? Video.findByFilename(filename) : null;
+
+        if (!video || video.status !== 'complete' ||
+            (video.reportId && !Report.exists(video.reportId))) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        if (isInitialVideoRequest(req)) {
+            audit(req, 'video.view', 'video', video.id, { reportId: video.reportId });
+        }
+        sendVideo(res, video);
+    } catch (error) {
+        console.error('Error fetching video:', error);
+        res.status(500).json({ error: 'Failed to fetch video' });
+    }
+});
+
+// Report chunks that exceed the size limit as client errors
+router.use((error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        return res.status(400).json({ error: `Invalid chunk upload: ${error.message}` });
+    }
+    next(error);
+});
+
+module.exports = router;
@@ -0,0 +1,201 @@
+// backend/routes/webhooks.js
+const express = require('express');
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const generateId = require('../utils/generateId');
+const audit = require('../utils/audit');
+const { redeliver } = require('../services/webhooks');
+const { WEBHOOK_EVENTS } = require('../config');
+
+const router = express.Router();
+
+const MIN_SECRET_LENGTH = 16;
+const MAX_DELIVERY_PAGE_SIZE = 200;
+
+// Validate webhook fields, returning a list of { field, message }
+function validateWebhook({ url, events, secret, flagThreshold, description, active }, { partial = false } = {}) {
+    const errors = [];
+    if (!partial || url !== undefined) {
+        let parsed = null;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            // reported below
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+            errors.push({ field: 'url', message: 'must be an http or https URL' });
+        }
+    }
+    if (!partial || events !== undefined) {
+        if (!Array.isArray(events) || !events.length || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+            errors.push({ field: 'events', message: `must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')}` });
+        }
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+        errors.push({ field: 'secret', message: `must be at least ${MIN_SECRET_LENGTH} characters` });
+    }
+    if (flagThreshold !== undefined && (!Number.isInteger(flagThreshold) || flagThreshold < 0 || flagThreshold > 100)) {
+        errors.push({ field: 'flagThreshold', message: 'must be an integer between 0 and 100' });
+    }
+    if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 200)) {
+        errors.push({ field: 'description', message: 'must be a string of at most 200 characters' });
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+        errors.push({ field: 'active', message: 'must be true or false' });
+    }
+    return errors;
+}
+
+// List webhooks and the events they can subscribe to
+router.get('/', (req, res) => {
+    try {
+        res.json({
+            events: WEBHOOK_EVENTS,
+            webhooks: Webhook.findAll().map(Webhook.toPublic)
+        });
+    } catch (error) {
+        console.error('Error fetching webhooks:', error);
+        res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
+});
+
+// Create a webhook. A signing secret is generated unless one is given;
+// it is only returned in this response.
+router.post('/', (req, res) => {
+    try {
+        const body = req.body || {};
+        const errors = validateWebhook(body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid webhook data', details: errors });
+        }
+
+        const secret = body.secret || crypto.randomBytes(32).toString('hex');
+        const webhook = Webhook.create({
+            id: generateId(),
+            url: body.url,
+            secret,
+            events: [...new Set(body.events)],
+            flagThreshold: body.flagThreshold === undefined ? 60 : body.flagThreshold,
+            description: body.description,
+            active: body.active !== false,
+            createdBy: req.user.id
+        });
+        audit(req, 'webhook.create', 'webhook', webhook.id, { url: webhook.url, events: webhook.events });
+
+        res.status(201).json({ ...Webhook.toPublic(webhook), secret });
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+router.get('/:id', (req, res) => {
+    try {
+        const webhook = Webhook.findById(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json(Webhook.toPublic(webhook));
+    } catch (error) {
+        console.error('Error fetching webhook:', error);
+        res.status(500).json({ error: 'Failed to fetch webhook' });
+    }
+});
+
+// Change a webhook. Send rotateSecret: true to generate a new signing secret.
+router.patch('/:id', (req, res) => {
+    try {
+        const webhook = Webhook.findById(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const body = req.body || {};
+        const errors = validateWebhook(body, { partial: true });
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid webhook data', details: errors });
+        }
+
+        const secret = body.rotateSecret === true ? crypto.randomBytes(32).toString('hex') : body.secret;
+        const updated = Webhook.update({
+            ...webhook,
+            ...['url', 'flagThreshold', 'description', 'active'].reduce((changes, field) => {
+                if (body[field] !== undefined) changes[field] = body[field];
+                return changes;
+            }, {}),
+            events: body.events ? [...new Set(body.events)] : webhook.events,
+            secret: secret || webhook.secret
+        });
+        audit(req, 'webhook.update', 'webhook', webhook.id, {
+            fields: Object.keys(body).filter(field => field !== 'secret'),
+            secretChanged: Boolean(secret)
+        });
+
+        res.json(secret ? { ...Webhook.toPublic(updated), secret } : Webhook.toPublic(updated));
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+// Delete a webhook and its delivery log
+router.delete('/:id', (req, res) => {
+    try {
+        if (!Webhook.deleteById(req.params.id)) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        audit(req, 'webhook.delete', 'webhook', req.params.id);
+        res.json({ success: true, message: 'Webhook deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+// Delivery log of a webhook, newest first
+router.get('/:id/deliveries', (req, res) => {
+    try {
+        if (!Webhook.findById(req.params.id)) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+        const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_PAGE_SIZE ||
+            !Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({
+                error: `limit must be between 1 and ${MAX_DELIVERY_PAGE_SIZE} and offset must be non-negative`
+            });
+        }
+
+        res.json({ ...WebhookDelivery.findByWebhook(req.params.id, { limit, offset }), limit, offset });
+    } catch (error) {
+        console.error('Error fetching webhook deliveries:', error);
+        res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+    }
+});
+
+// Send a delivery again with the same payload, as a new delivery
+router.post('/:id/deliveries/:deliveryId/redeliver', (req, res) => {
+    try {
+        const original = WebhookDelivery.findById(req.params.deliveryId);
+        if (!original || original.webhookId !== req.params.id) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        const delivery = redeliver(original.id);
+        audit(req, 'webhook.redeliver', 'webhook', req.params.id, { deliveryId: original.id, newDeliveryId: delivery.id });
+
+        res.status(202).json({
+            success: true,
+            message: 'Redelivery queued',
+            delivery
+        });
+    } catch (error) {
+        console.error('Error redelivering webhook:', error);
+        res.status(500).json({ error: 'Failed to redeliver webhook' });
+    }
+});
+
+module.exports = router;
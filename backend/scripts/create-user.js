@@ -0,0 +1,37 @@
+// backend/scripts/create-user.js
+// Create a user account, e.g. the first admin.
+// Usage: USER_PASSWORD=<password> npm run create-user -- <username> <role>
+const readline = require('readline');
+const User = require('../models/User');
+const { ROLES } = require('../config');
+
+const [username, role = 'admin'] = process.argv.slice(2);
+
+if (!username || !ROLES.includes(role)) {
+    console.error(`Usage: npm run create-user -- <username> <${ROLES.join('|')}>`);
+    process.exit(1);
+}
+
+if (User.findByUsername(username)) {
+    console.error(`User "${username}" already exists`);
+    process.exit(1);
+}
+
+function createUser(password) {
+    if (!password || password.length < 8) {
+        console.error('Password must be at least 8 characters');
+        process.exit(1);
+    }
+    const user = User.create({ username, password, role });
+    console.log(`Created ${user.role} "${user.username}"`);
+}
+
+if (process.env.USER_PASSWORD) {
+    createUser(process.env.USER_PASSWORD);
+} else {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question('Password: ', password => {
+        rl.close();
+        createUser(password);
+    });
+}
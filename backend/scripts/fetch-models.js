@@ -0,0 +1,53 @@
+// backend/scripts/fetch-models.js
+// Download the face and object detection model weights into the models
+// directory, where the server serves them to the interview page under
+// /vendor/models. Run once on a machine with internet access; models
+// already downloaded are skipped unless --force is given.
+// Usage: npm run fetch-models [-- --force]
+const fs = require('fs');
+const path = require('path');
+const { modelsDir, MODEL_SOURCES } = require('../config');
+
+const force = process.argv.includes('--force');
+
+async function download(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url} returned ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+// The weight files are written before model.json, so an interrupted
+// download is not mistaken for a complete one
+async function fetchModel(name, { url, search }) {
+    const dir = path.join(modelsDir, name);
+    if (!force && fs.existsSync(path.join(dir, 'model.json'))) {
+        console.log(`${name}: already downloaded`);
+        return;
+    }
+
+    const modelJson = await download(url + search);
+    const { weightsManifest = [] } = JSON.parse(modelJson);
+    const files = weightsManifest.flatMap(group => group.paths);
+
+    fs.mkdirSync(dir, { recursive: true });
+    for (const file of files) {
+        fs.writeFileSync(path.join(dir, path.basename(file)), await download(new URL(file, url) + search));
+    }
+    fs.writeFileSync(path.join(dir, 'model.json'), modelJson);
+    console.log(`${name}: downloaded ${files.length} weight files to ${dir}`);
+}
+
+(async () => {
+    let failed = 0;
+    for (const [name, source] of Object.entries(MODEL_SOURCES)) {
+        try {
+            await fetchModel(name, source);
+        } catch (error) {
+            console.error(`${name}: ${error.message}${error.cause ? ` (${error.cause.message})` : ''}`);
+            failed++;
+        }
+    }
+    process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,56 @@
+// backend/scripts/import-reports.js
+// One-time import of legacy reports/report-*.json files into the database.
+// Usage: npm run import-reports [-- <reports directory>]
+const fs = require('fs');
+const path = require('path');
+const Report = require('../models/Report');
+
+const reportsDir = process.argv[2]
+    ? path.resolve(process.argv[2])
+    : path.join(__dirname, '..', 'reports');
+
+if (!fs.existsSync(reportsDir)) {
+    console.log(`No reports directory found at ${reportsDir}, nothing to import`);
+    process.exit(0);
+}
+
+let imported = 0;
+let skipped = 0;
+let failed = 0;
+
+fs.readdirSync(reportsDir)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+        try {
+            const report = JSON.parse(fs.readFileSync(path.join(reportsDir, file), 'utf8'));
+
+            if (!report.id || Report.exists(report.id, { includeDeleted: true })) {
+                skipped++;
+                return;
+            }
+
+            const now = new Date().toISOString();
+            Report.create({
+                id: report.id,
+                timestamp: report.timestamp || now,
+                candidateName: report.candidateName || 'Test Candidate',
+                interviewDuration: report.interviewDuration || '00:00:00',
+                startTime: report.startTime || report.timestamp || now,
+                endTime: report.endTime || report.timestamp || now,
+                focusIssues: report.focusIssues || {},
+                prohibitedItems: report.prohibitedItems || {},
+                audioIssues: report.audioIssues || {},
+                browserIssues: report.browserIssues || {},
+                integrityScore: typeof report.integrityScore === 'number' ? report.integrityScore : 100,
+                // Legacy reports were scored in the browser with the version 1 rules
+                scoringVersion: 1,
+                events: report.events || []
+            });
+            imported++;
+        } catch (error) {
+            console.error(`Failed to import ${file}:`, error.message);
+            failed++;
+        }
+    });
+
+console.log(`Imported ${imported} reports (${skipped} skipped, ${failed} failed)`);
@@ -0,0 +1,42 @@
+// backend/scripts/import-videos.js
+// One-time registration of recordings saved to videos/ before uploads were
+// tracked in the database, so they can be served by GET /api/videos/:filename.
+// Usage: npm run import-videos
+const crypto = require('crypto');
+const fs = require('fs');
+const Video = require('../models/Video');
+const { videosDir, VIDEO_MIME_TYPES } = require('../config');
+const { videoPath, isValidVideoFilename } = require('../utils/videoFiles');
+
+const mimeTypes = Object.keys(VIDEO_MIME_TYPES).reduce((result, mimeType) => {
+    result[VIDEO_MIME_TYPES[mimeType]] = mimeType;
+    return result;
+}, {});
+
+let imported = 0;
+let skipped = 0;
+
+fs.readdirSync(videosDir)
+    .filter(isValidVideoFilename)
+    .forEach(filename => {
+        if (Video.findByFilename(filename)) {
+            skipped++;
+            return;
+        }
+
+        const filepath = videoPath({ filename });
+        const stat = fs.statSync(filepath);
+        const [, id, extension] = filename.match(/^video-([a-z0-9]+)\.(\w+)$/);
+
+        Video.createCompleted({
+            id,
+            filename,
+            mimeType: mimeTypes[extension],
+            size: stat.size,
+            checksum: crypto.createHash('sha256').update(fs.readFileSync(filepath)).digest('hex'),
+            createdAt: stat.mtime.toISOString()
+        });
+        imported++;
+    });
+
+console.log(`Registered ${imported} recordings (${skipped} already registered)`);
@@ -2,115 +2,89 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const cookieParser = require('cookie-parser');
 const fs = require('fs');
 const path = require('path');
+const Report = require('./models/Report');
+const User = require('./models/User');
+const Session = require('./models/Session');
+const authRouter = require('./routes/auth');
+const usersRouter = require('./routes/users');
+const reportsRouter = require('./routes/reports');
+const videosRouter = require('./routes/videos');
+const statsRouter = require('./routes/stats');
+const auditRouter = require('./routes/audit');
+const webhooksRouter = require('./routes/webhooks');
+const storageRouter = require('./routes/storage');
+const liveRouter = require('./routes/live');
+const sessionsRouter = require('./routes/sessions');
+const policiesRouter = require('./routes/policies');
+const { runRetentionJobs } = require('./services/retention');
+const { startDeliveryWorker } = require('./services/webhooks');
+const liveSessions = require('./services/liveSessions');
+const { authenticate, requireRole } = require('./middleware/auth');
+const { videosDir, uploadsDir, modelsDir, MODEL_SOURCES, VENDOR_DIRS, CORS_ORIGINS } = require('./config');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
-// Increase payload limit for video data
-app.use(bodyParser.json({ limit: '50mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
+// Only the configured frontend origins may call the API with credentials
+app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
+app.use(cookieParser());
+// Reports can carry a long event log; video is uploaded separately in chunks
+app.use(bodyParser.json({ limit: '10mb' }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
 // Ensure directories exist
-const reportsDir = path.join(__dirname, 'reports');
-const videosDir = path.join(__dirname, 'videos');
-if (!fs.existsSync(reportsDir)) {
-    fs.mkdirSync(reportsDir, { recursive: true });
-}
-if (!fs.existsSync(videosDir)) {
-    fs.mkdirSync(videosDir, { recursive: true });
-}
-
-// Store reports in memory (in production, use a database)
-let reports = [];
-
-// Load existing reports from files on server start
-try {
-    const files = fs.readdirSync(reportsDir);
-    files.forEach(file => {
-        if (file.endsWith('.json')) {
-            const filePath = path.join(reportsDir, file);
-            const data = fs.readFileSync(filePath, 'utf8');
-            const report = JSON.parse(data);
-            reports.push(report);
-        }
-    });
-    console.log(`Loaded ${reports.length} existing reports`);
-} catch (error) {
-    console.log('No existing reports found or error loading them');
-}
-
-// Helper functions
+[videosDir, uploadsDir].forEach(dir => {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+});
 
-// Generate a unique ID
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+// Create the first admin from the environment when no accounts exist yet
+if (User.count() === 0) {
+    if (process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+        User.create({
+            username: process.env.ADMIN_USERNAME,
+            password: process.env.ADMIN_PASSWORD,
+            role: 'admin'
+        });
+        console.log(`Created admin user "${process.env.ADMIN_USERNAME}"`);
+    } else {
+        console.warn('No user accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD or run "npm run create-user".');
+    }
 }
 
-// Save report to file
-function saveReportToFile(report) {
+// Remove expired sessions every hour
+setInterval(() => {
     try {
-        const filename = `report-${report.id}.json`;
-        const filepath = path.join(reportsDir, filename);
-        fs.writeFileSync(filepath, JSON.stringify(report, null, 2));
+        Session.deleteExpired();
     } catch (error) {
-        console.error('Error saving report to file:', error);
+        console.error('Error removing expired sessions:', error);
     }
-}
+}, 60 * 60 * 1000).unref();
 
-// Generate report content for download
-function generateReportContent(report) {
-    return `
-=== INTERVIEWGUARD PRO - PROCTORING REPORT ===
-Report ID: ${report.id}
-Generated: ${new Date(report.timestamp).toLocaleString()}
-
---- CANDIDATE INFORMATION ---
-Name: ${report.candidateName}
-Interview Duration: ${report.interviewDuration}
-Start Time: ${new Date(report.startTime).toLocaleString()}
-End Time: ${new Date(report.endTime).toLocaleString()}
-
---- FOCUS ANALYSIS ---
-Times looked away: ${report.focusIssues.lookAwayCount}
-Times no face detected: ${report.focusIssues.noFaceCount}
-Multiple faces detected: ${report.focusIssues.multipleFacesCount}
-
---- PROHIBITED ITEMS DETECTED ---
-Mobile phones: ${report.prohibitedItems.phonesDetected}
-Books/notes: ${report.prohibitedItems.booksDetected}
-Other devices: ${report.prohibitedItems.devicesDetected}
-
---- FINAL ASSESSMENT ---
-Integrity Score: ${report.integrityScore}/100
-${getScoreDescription(report.integrityScore)}
-
-Recommendation: ${getRecommendation(report.integrityScore)}
-
-=== DETAILED EVENT LOG ===
-${(report.events || []).map(event => `[${event.timestamp}] ${event.message}`).join('\n')}
-
-=============================================
-InterviewGuard Pro - AI-Powered Proctoring System
-    `;
+// Apply the retention policy (trash, expired reports and recordings,
+// abandoned uploads) at startup and every hour
+function applyRetention() {
+    try {
+        const result = runRetentionJobs();
+        if (Object.values(result).some(count => count > 0)) {
+            console.log('Retention policy applied:', result);
+        }
+    } catch (error) {
+        console.error('Error applying retention policy:', error);
+    }
 }
+applyRetention();
+setInterval(applyRetention, 60 * 60 * 1000).unref();
 
-// Helper function to get score description
-function getScoreDescription(score) {
-    if (score >= 90) return "EXCELLENT - No significant issues detected";
-    if (score >= 70) return "GOOD - Minor focus issues observed";
-    if (score >= 50) return "FAIR - Several focus and integrity concerns";
-    return "POOR - Significant integrity issues detected";
-}
+// Send queued webhook deliveries and retry failed ones
+startDeliveryWorker();
 
-// Helper function to get recommendation
-function getRecommendation(score) {
-    if (score >= 80) return "RECOMMENDED - Candidate maintained good focus and integrity throughout the interview.";
-    if (score >= 60) return "CONDITIONALLY RECOMMENDED - Some focus issues were observed but may not disqualify the candidate.";
-    return "NOT RECOMMENDED - Significant integrity issues suggest the interview may not reflect the candidate's authentic abilities.";
-}
+// Mark live sessions that stopped sending updates as disconnected
+liveSessions.startSweeper();
 
 // API Routes
 
@@ -119,214 +93,87 @@ app.get('/api/health', (req, res) => {
     res.json({ 
         status: 'OK', 
         message: 'Server is running',
-        reportsCount: reports.length
+        reportsCount: Report.count()
     });
 });
 
-// Get all reports
-app.get('/api/reports', (req, res) => {
-    try {
-        // Sort by timestamp descending (newest first)
-        const sortedReports = [...reports].sort((a, b) => 
-            new Date(b.timestamp) - new Date(a.timestamp)
-        );
-        res.json(sortedReports);
-    } catch (error) {
-        console.error('Error fetching reports:', error);
-        res.status(500).json({ error: 'Failed to fetch reports' });
-    }
-});
+// Login, logout and current user
+app.use('/api/auth', authRouter);
 
-// Get a specific report by ID
-app.get('/api/reports/:id', (req, res) => {
-    try {
-        const report = reports.find(r => r.id === req.params.id);
-        if (!report) {
-            return res.status(404).json({ error: 'Report not found' });
-        }
-        res.json(report);
-    } catch (error) {
-        console.error('Error fetching report:', error);
-        res.status(500).json({ error: 'Failed to fetch report' });
-    }
-});
+// User management (admins only)
+app.use('/api/users', authenticate, requireRole(), usersRouter);
 
-// Save a new report
-app.post('/api/reports', (req, res) => {
-    try {
-        const {
-            candidateName,
-            interviewDuration,
-            startTime,
-            endTime,
-            focusIssues,
-            prohibitedItems,
-            integrityScore,
-            events
-        } = req.body;
-
-        const report = {
-            id: generateId(),
-            timestamp: new Date().toISOString(),
-            candidateName: candidateName || 'Test Candidate',
-            interviewDuration: interviewDuration || '00:00:00',
-            startTime: startTime || new Date().toISOString(),
-            endTime: endTime || new Date().toISOString(),
-            focusIssues: focusIssues || {
-                lookAwayCount: 0,
-                noFaceCount: 0,
-                multipleFacesCount: 0
-            },
-            prohibitedItems: prohibitedItems || {
-                phonesDetected: 0,
-                booksDetected: 0,
-                devicesDetected: 0
-            },
-            integrityScore: integrityScore || 100,
-            events: events || []
-        };
-
-        reports.push(report);
-        
-        // Save to file
-        saveReportToFile(report);
-        
-        res.status(201).json({ 
-            success: true,
-            message: 'Report saved successfully', 
-            id: report.id 
-        });
-    } catch (error) {
-        console.error('Error saving report:', error);
-        res.status(500).json({ 
-            success: false,
-            error: 'Failed to save report' 
-        });
-    }
-});
+// Report routes
+app.use('/api/reports', authenticate, reportsRouter);
 
-// Save video recording
-app.post('/api/videos', (req, res) => {
-    try {
-        const { videoData, reportId } = req.body;
-        
-        if (!videoData) {
-            return res.status(400).json({ error: 'No video data provided' });
-        }
-        
-        // Convert base64 to buffer
-        const videoBuffer = Buffer.from(videoData, 'base64');
-        const filename = `video-${reportId || generateId()}.webm`;
-        const filepath = path.join(videosDir, filename);
-        
-        // Save video file
-        fs.writeFileSync(filepath, videoBuffer);
-        
-        res.json({ 
-            success: true,
-            message: 'Video saved successfully',
-            filename: filename
-        });
-    } catch (error) {
-        console.error('Error saving video:', error);
-        res.status(500).json({ 
-            success: false,
-            error: 'Failed to save video' 
-        });
-    }
-});
+// Video routes
+app.use('/api/videos', authenticate, videosRouter);
 
-// Get video by filename
-app.get('/api/videos/:filename', (req, res) => {
-    try {
-        const filename = req.params.filename;
-        const filepath = path.join(videosDir, filename);
-        
-        if (!fs.existsSync(filepath)) {
-            return res.status(404).json({ error: 'Video not found' });
-        }
-        
-        // Set appropriate headers
-        res.setHeader('Content-Type', 'video/webm');
-        res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
-        
-        // Stream the video file
-        const videoStream = fs.createReadStream(filepath);
-        videoStream.pipe(res);
-    } catch (error) {
-        console.error('Error fetching video:', error);
-        res.status(500).json({ error: 'Failed to fetch video' });
-    }
-});
+// Statistics across all reports
+app.use('/api/stats', authenticate, statsRouter);
 
-// Download report as file
-app.get('/api/reports/:id/download', (req, res) => {
-    try {
-        const report = reports.find(r => r.id === req.params.id);
-        if (!report) {
-            return res.status(404).json({ error: 'Report not found' });
-        }
-        
-        const reportContent = generateReportContent(report);
-        const filename = `proctoring-report-${report.id}.txt`;
-        
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.setHeader('Content-Type', 'text/plain');
-        res.send(reportContent);
-    } catch (error) {
-        console.error('Error downloading report:', error);
-        res.status(500).json({ error: 'Failed to download report' });
-    }
-});
+// Audit log (admins only)
+app.use('/api/audit', authenticate, requireRole(), auditRouter);
 
-// Delete a report
-app.delete('/api/reports/:id', (req, res) => {
-    try {
-        const reportIndex = reports.findIndex(r => r.id === req.params.id);
-        if (reportIndex === -1) {
-            return res.status(404).json({ error: 'Report not found' });
-        }
-        
-        // Remove from memory
-        reports.splice(reportIndex, 1);
-        
-        // Remove from file system
-        const filename = `report-${req.params.id}.json`;
-        const filepath = path.join(reportsDir, filename);
-        
-        if (fs.existsSync(filepath)) {
-            fs.unlinkSync(filepath);
-        }
-        
-        res.json({ 
-            success: true,
-            message: 'Report deleted successfully' 
-        });
-    } catch (error) {
-        console.error('Error deleting report:', error);
-        res.status(500).json({ error: 'Failed to delete report' });
-    }
+// Storage usage and retention (admins only)
+app.use('/api/storage', authenticate, requireRole(), storageRouter);
+
+// Webhook configuration and delivery log (admins only)
+app.use('/api/webhooks', authenticate, requireRole(), webhooksRouter);
+
+// Scheduled interviews and their join links
+app.use('/api/sessions', authenticate, sessionsRouter);
+
+// Detection policies (admins manage them, everyone can read them)
+app.use('/api/policies', authenticate, policiesRouter);
+
+// Live interview sessions pushed by interviewers and streamed to proctors
+app.use('/api/live', authenticate, liveRouter);
+
+// Pinned libraries, fonts and model weights for the interview page. A
+// missing file is a 404 rather than the interview page.
+Object.entries(VENDOR_DIRS).forEach(([name, dir]) => {
+    app.use(`/vendor/${name}`, express.static(dir));
+});
+app.use('/vendor', (req, res) => {
+    res.status(404).json({ error: 'File not found' });
 });
 
 // Serve static files from Frontend directory
-app.use(express.static(path.join(__dirname, '../Frontend')));
+app.use(express.static(path.join(__dirname, '../frontend')));
 
 // Explicit routes for HTML files to ensure they're served correctly
 app.get(['/', '/index.html'], (req, res) => {
-    res.sendFile(path.join(__dirname, '../Frontend/index.html'));
+    res.sendFile(path.join(__dirname, '../frontend/index.html'));
 });
 
 app.get('/reports.html', (req, res) => {
-    res.sendFile(path.join(__dirname, '../Frontend/reports.html'));
+    res.sendFile(path.join(__dirname, '../frontend/reports.html'));
 });
 
 app.get('/report-details.html', (req, res) => {
-    res.sendFile(path.join(__dirname, '../Frontend/report-details.html'));
+    res.sendFile(path.join(__dirname, '../frontend/report-details.html'));
+});
+
+app.get('/dashboard.html', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/dashboard.html'));
+});
+
+app.get('/sessions.html', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/sessions.html'));
+});
+
+app.get('/proctor.html', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/proctor.html'));
+});
+
+app.get('/login.html', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/login.html'));
 });
 
 // Handle client-side routing - return index.html for any other GET requests
-app.get('*', (req, res) => {
-    res.sendFile(path.join(__dirname, '../Frontend/index.html'));
+app.get('/{*splat}', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/index.html'));
 });
 
 // Error handling middleware
@@ -338,6 +185,12 @@ app.use((error, req, res, next) => {
     });
 });
 
+// Interviews cannot run detection until the model weights are downloaded
+const missingModels = Object.keys(MODEL_SOURCES).filter(name => !fs.existsSync(path.join(modelsDir, name, 'model.json')));
+if (missingModels.length) {
+    console.warn(`Detection models missing from ${modelsDir}: ${missingModels.join(', ')}. Run "npm run fetch-models".`);
+}
+
 // Start server
 app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
@@ -345,4 +198,7 @@ app.listen(PORT, () => {
     console.log(`Frontend available at: http://localhost:${PORT}`);
     console.log(`Reports page: http://localhost:${PORT}/reports.html`);
     console.log(`Report details: http://localhost:${PORT}/report-details.html`);
+    console.log(`Dashboard: http://localhost:${PORT}/dashboard.html`);
+    console.log(`Interview sessions: http://localhost:${PORT}/sessions.html`);
+    console.log(`Live proctoring: http://localhost:${PORT}/proctor.html`);
 });
\ No newline at end of file
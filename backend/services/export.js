@@ -0,0 +1,148 @@
+// backend/services/export.js
+// Bulk report exports: CSV (one flat row per report), NDJSON (full reports
+// with events, one per line) and ZIP archives bundling reports with their recordings
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const Video = require('../models/Video');
+const { generateReportContent } = require('../utils/reportContent');
+const { videoPath } = require('../utils/videoFiles');
+
+// CSV columns and how to read each from a report
+const CSV_COLUMNS = [
+    ['id', report => report.id],
+    ['timestamp', report => report.timestamp],
+    ['candidateName', report => report.candidateName],
+    ['interviewDuration', report => report.interviewDuration],
+    ['startTime', report => report.startTime],
+    ['endTime', report => report.endTime],
+    ['lookAwayCount', report => report.focusIssues.lookAwayCount],
+    ['noFaceCount', report => report.focusIssues.noFaceCount],
+    ['multipleFacesCount', report => report.focusIssues.multipleFacesCount],
+    ['identityMismatchCount', report => report.focusIssues.identityMismatchCount],
+    ['phonesDetected', report => report.prohibitedItems.phonesDetected],
+    ['booksDetected', report => report.prohibitedItems.booksDetected],
+    ['devicesDetected', report => report.prohibitedItems.devicesDetected],
+    ['speechCount', report => report.audioIssues.speechCount],
+    ['multipleVoicesCount', report => report.audioIssues.multipleVoicesCount],
+    ['whisperingCount', report => report.audioIssues.whisperingCount],
+    ['tabSwitchCount', report => report.browserIssues.tabSwitchCount],
+    ['fullscreenExitCount', report => report.browserIssues.fullscreenExitCount],
+    ['clipboardCount', report => report.browserIssues.clipboardCount],
+    ['windowResizeCount', report => report.browserIssues.windowResizeCount],
+    ['secondDisplayCount', report => report.browserIssues.secondDisplayCount],
+    ['screenShareStoppedCount', report => report.browserIssues.screenShareStoppedCount],
+    ['integrityScore', report => report.integrityScore],
+    ['scoringVersion', report => report.scoringVersion],
+    ['policy', report => (report.policy ? report.policy.name : '')]
+];
+
+// Quote a CSV field. Text starting with a formula character is prefixed with
+// a quote so spreadsheets do not evaluate candidate-supplied names.
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(report) {
+    return CSV_COLUMNS.map(([, read]) => csvField(read(report))).join(',') + '\r\n';
+}
+
+// Build a whole CSV document from a list of reports
+function toCsv(reports) {
+    let csv = CSV_COLUMNS.map(([name]) => name).join(',') + '\r\n';
+    for (const report of reports) {
+        csv += csvRow(report);
+    }
+    return csv;
+}
+
+// Stream lines to the response, producing the next ones only as the client
+// reads them. Resolves once the response has been written.
+function writeLines(res, lines) {
+    return pipeline(Readable.from(lines), res);
+}
+
+// Write reports to the response as CSV. Resolves with the number written.
+async function writeCsv(res, reports) {
+    let count = 0;
+    res.type('text/csv; charset=utf-8');
+    await writeLines(res, (function* () {
+        yield CSV_COLUMNS.map(([name]) => name).join(',') + '\r\n';
+        for (const report of reports) {
+            yield csvRow(report);
+            count++;
+        }
+    })());
+    return count;
+}
+
+// Write reports to the response as newline-delimited JSON. Resolves with the
+// number written.
+async function writeNdjson(res, reports) {
+    let count = 0;
+    res.type('application/x-ndjson; charset=utf-8');
+    await writeLines(res, (function* () {
+        for (const report of reports) {
+            yield JSON.stringify(report) + '\n';
+            count++;
+        }
+    })());
+    return count;
+}
+
+// Stream a ZIP archive with a summary CSV and, per report, its JSON, the
+// plain-text report and every completed recording. Resolves with the number
+// of recordings included.
+function writeZip(res, reports) {
+    return new Promise((resolve, reject) => {
+        // Recordings are already compressed, so only compress the text files
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        let videoCount = 0;
+
+        archive.on('warning', error => console.warn('Export archive warning:', error));
+        archive.on('error', reject);
+        // An aborted archive emits neither 'end' nor 'error', so settle here
+        res.on('close', () => {
+            if (res.writableFinished) return;
+            archive.abort();
+            const error = new Error('Premature close');
+            error.code = 'ERR_STREAM_PREMATURE_CLOSE';
+            reject(error);
+        });
+        archive.on('end', () => resolve(videoCount));
+
+        res.type('application/zip');
+        archive.pipe(res);
+
+        archive.append(toCsv(reports), { name: 'reports.csv' });
+        reports.forEach(report => {
+            const folder = `${report.id}/`;
+            archive.append(JSON.stringify(report, null, 2), { name: `${folder}report.json` });
+            archive.append(generateReportContent(report), { name: `${folder}report.txt` });
+
+            Video.findByReportId(report.id)
+                .filter(video => video.status === 'complete' && fs.existsSync(videoPath(video)))
+                .forEach(video => {
+                    const prefix = video.kind === 'screen' ? 'screen-' : '';
+                    archive.file(videoPath(video), { name: `${folder}${prefix}${video.filename}`, store: true });
+                    videoCount++;
+                });
+        });
+
+        archive.finalize();
+    });
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    toCsv,
+    writeCsv,
+    writeNdjson,
+    writeZip
+};
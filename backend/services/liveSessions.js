@@ -0,0 +1,179 @@
+// backend/services/liveSessions.js
+// In-memory registry of interviews in progress. The interviewer's browser
+// pushes new log events, counters and detection status about once a second;
+// proctors receive every change through subscribe() (streamed over
+// Server-Sent Events by routes/live.js). Nothing here is persisted: the saved
+// report remains the record of an interview.
+const { EventEmitter } = require('events');
+const generateId = require('../utils/generateId');
+const { DEDUCTIONS, calculateIntegrityScore } = require('../utils/scoring');
+
+// Recent events kept per session for proctors who connect mid-interview
+const MAX_SESSION_EVENTS = 200;
+// Sessions that stop sending updates are shown as disconnected...
+const DISCONNECTED_AFTER_MS = 30 * 1000;
+// ...and dropped if they do not come back
+const REMOVE_DISCONNECTED_AFTER_MS = 60 * 60 * 1000;
+// Ended sessions stay visible for a while so proctors see the final state
+const REMOVE_ENDED_AFTER_MS = 10 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 10 * 1000;
+
+const COUNTER_KEYS = {
+    focusIssues: ['lookAwayCount', 'noFaceCount', 'multipleFacesCount', 'identityMismatchCount'],
+    prohibitedItems: ['phonesDetected', 'booksDetected', 'devicesDetected'],
+    audioIssues: ['speechCount', 'multipleVoicesCount', 'whisperingCount'],
+    browserIssues: ['tabSwitchCount', 'fullscreenExitCount', 'clipboardCount', 'windowResizeCount', 'secondDisplayCount',
+        'screenShareStoppedCount']
+};
+
+const sessions = new Map();
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+
+function emptyCounters() {
+    return Object.fromEntries(Object.entries(COUNTER_KEYS)
+        .map(([group, keys]) => [group, Object.fromEntries(keys.map(key => [key, 0]))]));
+}
+
+// Session fields sent to proctors. The event feed is only included in snapshots.
+function toPublic(session, { withEvents = false } = {}) {
+    const { events, deductions, ...summary } = session;
+    return withEvents ? { ...summary, events } : summary;
+}
+
+function publish(type, data) {
+    changes.emit('change', { type, data });
+}
+
+// Register a new interview and announce it to proctors. The score is
+// computed with the deductions of the given detection policy.
+function start({ candidateName, interviewer, policy = null }) {
+    const now = new Date().toISOString();
+    const session = {
+        id: generateId(),
+        candidateName,
+        interviewer: { id: interviewer.id, username: interviewer.username },
+        policy: policy ? { id: policy.id, name: policy.name } : null,
+        deductions: policy ? policy.settings.deductions : DEDUCTIONS,
+        state: 'active',
+        startedAt: now,
+        lastSeenAt: now,
+        endedAt: null,
+        ...emptyCounters(),
+        integrityScore: 100,
+        status: { focus: null, objects: [], identity: null, audio: null, browser: null },
+        eventCount: 0,
+        events: []
+    };
+    sessions.set(session.id, session);
+    publish('update', { session: toPublic(session), events: [] });
+    return session;
+}
+
+function findById(id) {
+    return sessions.get(id) || null;
+}
+
+// Every session, oldest first
+function findAll() {
+    return [...sessions.values()];
+}
+
+// Apply an update from the interviewer's browser: new events, the current
+// counters and detection status. Any of them may be left out, so an empty
+// update works as a heartbeat. Proctors are only notified of actual changes.
+function update(id, { events = [], status, ...counterGroups } = {}) {
+    const session = sessions.get(id);
+    if (!session || session.state === 'ended') return null;
+
+    let changed = events.length > 0 || session.state !== 'active';
+    session.state = 'active';
+    session.lastSeenAt = new Date().toISOString();
+
+    Object.keys(COUNTER_KEYS).forEach(group => {
+        const counters = counterGroups[group];
+        if (!counters) return;
+        COUNTER_KEYS[group].forEach(key => {
+            if (counters[key] !== undefined && counters[key] !== session[group][key]) {
+                session[group][key] = counters[key];
+                changed = true;
+            }
+        });
+    });
+    session.integrityScore = calculateIntegrityScore(session, {
+        deductions: session.deductions
+    });
+
+    if (status) {
+        const nextStatus = { ...session.status, ...status };
+        if (JSON.stringify(nextStatus) !== JSON.stringify(session.status)) {
+            session.status = nextStatus;
+            changed = true;
+        }
+    }
+
+    if (events.length) {
+        session.events.push(...events);
+        session.events.splice(0, session.events.length - MAX_SESSION_EVENTS);
+        session.eventCount += events.length;
+    }
+
+    if (changed) {
+        publish('update', { session: toPublic(session), events });
+    }
+    return session;
+}
+
+// Mark an interview as finished
+function end(id) {
+    const session = sessions.get(id);
+    if (!session) return null;
+    if (session.state !== 'ended') {
+        session.state = 'ended';
+        session.endedAt = new Date().toISOString();
+        publish('update', { session: toPublic(session), events: [] });
+    }
+    return session;
+}
+
+// Mark silent sessions as disconnected and forget old ones
+function sweep(now = Date.now()) {
+    sessions.forEach(session => {
+        const idle = now - Date.parse(session.lastSeenAt);
+        if (session.state === 'ended' && now - Date.parse(session.endedAt) > REMOVE_ENDED_AFTER_MS) {
+            sessions.delete(session.id);
+            publish('remove', { id: session.id });
+        } else if (session.state === 'disconnected' && idle > REMOVE_DISCONNECTED_AFTER_MS) {
+            sessions.delete(session.id);
+            publish('remove', { id: session.id });
+        } else if (session.state === 'active' && idle > DISCONNECTED_AFTER_MS) {
+            session.state = 'disconnected';
+            publish('update', { session: toPublic(session), events: [] });
+        }
+    });
+}
+
+// Call listener({ type, data }) for every change until the returned function is called.
+// type is 'update' ({ session, events }) or 'remove' ({ id }).
+function subscribe(listener) {
+    changes.on('change', listener);
+    return () => changes.off('change', listener);
+}
+
+function startSweeper() {
+    return setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    COUNTER_KEYS,
+    MAX_SESSION_EVENTS,
+    toPublic,
+    start,
+    findById,
+    findAll,
+    update,
+    end,
+    sweep,
+    subscribe,
+    startSweeper
+};
@@ -0,0 +1,106 @@
+// backend/services/pdf.js
+// Renders report PDFs from frontend/pdf-template.html in headless Chrome
+const { pathToFileURL } = require('url');
+const puppeteer = require('puppeteer-core');
+const { pdfTemplatePath, CHROME_EXECUTABLE_PATH } = require('../config');
+
+const templateUrl = pathToFileURL(pdfTemplatePath).href;
+// The template loads the shared scoring rules and incident helpers from next to it
+const allowedUrls = [templateUrl, ...['scoring.js', 'incidents.js'].map(file => new URL(file, templateUrl).href)];
+
+// Close the browser after this long without a render
+const BROWSER_IDLE_MS = 5 * 60 * 1000;
+const RENDER_TIMEOUT_MS = 30 * 1000;
+
+let browserPromise = null;
+let idleTimer = null;
+// Renders run one at a time to keep memory use predictable
+let renderQueue = Promise.resolve();
+
+function getBrowser() {
+    if (!browserPromise) {
+        browserPromise = puppeteer.launch({
+            ...(CHROME_EXECUTABLE_PATH ? { executablePath: CHROME_EXECUTABLE_PATH } : { channel: 'chrome' }),
+            headless: true,
+            // Chrome's sandbox cannot start as root (e.g. in containers)
+            args: process.getuid && process.getuid() === 0 ? ['--no-sandbox'] : []
+        }).then(browser => {
+            browser.on('disconnected', () => {
+                browserPromise = null;
+            });
+            return browser;
+        }).catch(error => {
+            browserPromise = null;
+            throw error;
+        });
+    }
+    return browserPromise;
+}
+
+async function closeBrowser() {
+    clearTimeout(idleTimer);
+    if (browserPromise) {
+        const browser = await browserPromise.catch(() => null);
+        browserPromise = null;
+        if (browser) await browser.close();
+    }
+}
+
+function scheduleIdleClose() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+        closeBrowser().catch(error => console.error('Error closing PDF browser:', error));
+    }, BROWSER_IDLE_MS);
+    idleTimer.unref();
+}
+
+async function render(report) {
+    const browser = await getBrowser();
+    const page = await browser.newPage();
+
+    try {
+        page.setDefaultTimeout(RENDER_TIMEOUT_MS);
+        await page.setJavaScriptEnabled(true);
+
+        // Only the template and its scoring script may load; block every other
+        // request so report content can never make the renderer fetch anything
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            if (allowedUrls.includes(request.url()) || request.url().startsWith('data:')) {
+                request.continue();
+            } else {
+                request.abort();
+            }
+        });
+
+        await page.goto(templateUrl, { waitUntil: 'load' });
+        await page.evaluate(data => populateReport(data), report);
+
+        return Buffer.from(await page.pdf({
+            format: 'A4',
+            printBackground: true,
+            margin: { top: '12mm', bottom: '16mm', left: '10mm', right: '10mm' },
+            displayHeaderFooter: true,
+            headerTemplate: '<span></span>',
+            footerTemplate: `
+                <div style="font-size: 8px; width: 100%; text-align: center; color: #6c757d;">
+                    InterviewGuard Pro &middot; Page <span class="pageNumber"></span> of <span class="totalPages"></span>
+                </div>
+            `
+        }));
+    } finally {
+        await page.close().catch(() => {});
+    }
+}
+
+// Render a stored report (including its events) to a PDF buffer
+function renderReportPdf(report) {
+    const result = renderQueue.then(() => render(report));
+    renderQueue = result.catch(() => {}).finally(scheduleIdleClose);
+    return result;
+}
+
+module.exports = {
+    renderReportPdf,
+    closeBrowser
+};
@@ -0,0 +1,98 @@
+// backend/services/retention.js
+// Scheduled deletion of recordings and reports past the retention policy
+const Report = require('../models/Report');
+const Video = require('../models/Video');
+const audit = require('../utils/audit');
+const { purgeReport, purgeExpiredReports: purgeTrash } = require('./trash');
+const { removeVideoFiles } = require('../utils/videoFiles');
+const { VIDEO_RETENTION_DAYS, REPORT_RETENTION_DAYS, STALE_UPLOAD_HOURS } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Delete the files of recordings completed more than VIDEO_RETENTION_DAYS ago.
+// The rows are kept with status 'purged' and an audit entry records each deletion.
+function purgeExpiredVideos() {
+    if (!VIDEO_RETENTION_DAYS) return 0;
+
+    const cutoff = new Date(Date.now() - VIDEO_RETENTION_DAYS * DAY_MS);
+    let purged = 0;
+
+    Video.findCompletedBefore(cutoff).forEach(video => {
+        try {
+            removeVideoFiles(video);
+        } catch (error) {
+            console.error(`Error removing video file ${video.filename}:`, error);
+            return;
+        }
+        if (Video.markPurged(video.id)) {
+            purged++;
+            audit(null, 'video.purge', 'video', video.id, {
+                reason: 'retention',
+                filename: video.filename,
+                reportId: video.reportId,
+                completedAt: video.completedAt,
+                size: video.size
+            });
+        }
+    });
+
+    return purged;
+}
+
+// Permanently delete reports (and their recordings) created more than
+// REPORT_RETENTION_DAYS ago, whether or not they are in the trash
+function purgeExpiredReports() {
+    if (!REPORT_RETENTION_DAYS) return 0;
+
+    const cutoff = new Date(Date.now() - REPORT_RETENTION_DAYS * DAY_MS);
+    let purged = 0;
+
+    Report.findOlderThan(cutoff).forEach(report => {
+        const videosDeleted = purgeReport(report.id);
+        if (videosDeleted !== null) {
+            purged++;
+            audit(null, 'report.purge', 'report', report.id, {
+                reason: 'retention',
+                candidateName: report.candidateName,
+                timestamp: report.timestamp,
+                videosDeleted
+            });
+        }
+    });
+
+    return purged;
+}
+
+// Remove uploads that stopped receiving chunks STALE_UPLOAD_HOURS ago
+function removeStaleUploads() {
+    const cutoff = new Date(Date.now() - STALE_UPLOAD_HOURS * 60 * 60 * 1000);
+    let removed = 0;
+
+    Video.findStaleUploads(cutoff).forEach(upload => {
+        try {
+            removeVideoFiles(upload);
+            if (Video.deleteById(upload.id)) removed++;
+        } catch (error) {
+            console.error(`Error removing abandoned upload ${upload.id}:`, error);
+        }
+    });
+
+    return removed;
+}
+
+// Run every retention job, returning how many items each removed
+function runRetentionJobs() {
+    return {
+        trashedReports: purgeTrash(),
+        expiredReports: purgeExpiredReports(),
+        expiredVideos: purgeExpiredVideos(),
+        staleUploads: removeStaleUploads()
+    };
+}
+
+module.exports = {
+    purgeExpiredVideos,
+    purgeExpiredReports,
+    removeStaleUploads,
+    runRetentionJobs
+};
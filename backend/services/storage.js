@@ -0,0 +1,108 @@
+// backend/services/storage.js
+// Disk usage of recordings and reports, and the upload quota
+const fs = require('fs');
+const path = require('path');
+const Report = require('../models/Report');
+const Video = require('../models/Video');
+const {
+    videosDir,
+    uploadsDir,
+    STORAGE_QUOTA_BYTES,
+    MIN_FREE_DISK_BYTES,
+    VIDEO_RETENTION_DAYS,
+    REPORT_RETENTION_DAYS,
+    TRASH_RETENTION_DAYS
+} = require('../config');
+
+const databasePath = process.env.DB_PATH || path.join(__dirname, '..', 'data', 'proctoring.db');
+const legacyReportsDir = path.join(__dirname, '..', 'reports');
+
+// Number and total size of the files directly inside a directory
+function directoryUsage(dir) {
+    if (!fs.existsSync(dir)) return { files: 0, bytes: 0 };
+
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .reduce((usage, entry) => {
+            usage.files++;
+            usage.bytes += fs.statSync(path.join(dir, entry.name)).size;
+            return usage;
+        }, { files: 0, bytes: 0 });
+}
+
+// Size of the database file including its write-ahead log
+function databaseBytes() {
+    return ['', '-wal', '-shm'].reduce((bytes, suffix) => {
+        const file = databasePath + suffix;
+        return bytes + (fs.existsSync(file) ? fs.statSync(file).size : 0);
+    }, 0);
+}
+
+function diskSpace() {
+    const stats = fs.statfsSync(videosDir);
+    return {
+        totalBytes: stats.blocks * stats.bsize,
+        freeBytes: stats.bavail * stats.bsize
+    };
+}
+
+// Bytes of recording data counted against the quota: finished recordings
+// plus uploads in progress or being completed
+function quotaUsedBytes() {
+    const usage = Video.usageByStatus();
+    return ['complete', 'uploading', 'completing'].reduce((bytes, status) => bytes + (usage[status] ? usage[status].bytes : 0), 0);
+}
+
+// Storage usage by type, with the quota and retention policy
+function getUsage() {
+    const videos = Video.usageByStatus();
+    const reports = Report.usage();
+    const used = quotaUsedBytes();
+
+    return {
+        videos: {
+            files: directoryUsage(videosDir),
+            complete: videos.complete || { count: 0, bytes: 0 },
+            uploading: {
+                ...(videos.uploading || { count: 0, bytes: 0 }),
+                partFiles: directoryUsage(uploadsDir)
+            },
+            purged: { count: videos.purged ? videos.purged.count : 0 }
+        },
+        reports: {
+            count: reports.count,
+            inTrash: reports.deleted,
+            eventLogBytes: reports.eventBytes,
+            legacyFiles: directoryUsage(legacyReportsDir)
+        },
+        database: { bytes: databaseBytes() },
+        disk: { ...diskSpace(), minFreeBytes: MIN_FREE_DISK_BYTES },
+        quota: {
+            bytes: STORAGE_QUOTA_BYTES || null,
+            usedBytes: used,
+            remainingBytes: STORAGE_QUOTA_BYTES ? Math.max(0, STORAGE_QUOTA_BYTES - used) : null
+        },
+        retention: {
+            videoDays: VIDEO_RETENTION_DAYS || null,
+            reportDays: REPORT_RETENTION_DAYS || null,
+            trashDays: TRASH_RETENTION_DAYS || null
+        }
+    };
+}
+
+// Check whether `bytes` more of recording data can be stored. Returns null if
+// so, otherwise an error message for the client.
+function checkUploadCapacity(bytes = 0) {
+    if (STORAGE_QUOTA_BYTES && quotaUsedBytes() + bytes > STORAGE_QUOTA_BYTES) {
+        return 'Storage quota for recordings is exhausted. Ask an administrator to free space or raise the quota.';
+    }
+    if (diskSpace().freeBytes - bytes < MIN_FREE_DISK_BYTES) {
+        return 'The server is out of disk space for recordings. Ask an administrator to free space.';
+    }
+    return null;
+}
+
+module.exports = {
+    getUsage,
+    checkUploadCapacity
+};
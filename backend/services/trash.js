@@ -0,0 +1,65 @@
+// backend/services/trash.js
+const db = require('../db');
+const Report = require('../models/Report');
+const Video = require('../models/Video');
+const audit = require('../utils/audit');
+const { removeVideoFiles } = require('../utils/videoFiles');
+const { TRASH_RETENTION_DAYS } = require('../config');
+
+// When a trashed report will be purged (ISO string), or null if the trash is
+// never purged automatically
+function purgeDate(report) {
+    if (!TRASH_RETENTION_DAYS) return null;
+    return new Date(new Date(report.deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Permanently delete a report, its recording rows and their files.
+// Returns the number of recordings removed, or null if the report does not exist.
+function purgeReport(reportId) {
+    const videos = db.transaction(() => {
+        const removedVideos = Video.deleteByReportId(reportId);
+        return Report.deleteById(reportId) ? removedVideos : null;
+    })();
+
+    if (!videos) return null;
+
+    videos.forEach(video => {
+        try {
+            removeVideoFiles(video);
+        } catch (error) {
+            console.error(`Error removing video file ${video.filename}:`, error);
+        }
+    });
+
+    return videos.length;
+}
+
+// Purge every report that has been in the trash longer than the retention
+// period, returning how many were purged
+function purgeExpiredReports() {
+    if (!TRASH_RETENTION_DAYS) return 0;
+
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    let purged = 0;
+
+    Report.findDeletedBefore(cutoff).forEach(report => {
+        const videosDeleted = purgeReport(report.id);
+        if (videosDeleted !== null) {
+            purged++;
+            audit(null, 'report.purge', 'report', report.id, {
+                reason: 'trash',
+                candidateName: report.candidateName,
+                deletedAt: report.deletedAt,
+                videosDeleted
+            });
+        }
+    });
+
+    return purged;
+}
+
+module.exports = {
+    purgeDate,
+    purgeReport,
+    purgeExpiredReports
+};
@@ -0,0 +1,152 @@
+// backend/services/webhooks.js
+// Sends signed JSON payloads for report lifecycle events to configured webhooks.
+//
+// Every request carries:
+//   X-InterviewGuard-Event:     the event name
+//   X-InterviewGuard-Delivery:  the delivery id (new for each redelivery)
+//   X-InterviewGuard-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the webhook secret>
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const generateId = require('../utils/generateId');
+const { WEBHOOK_RETRY_DELAYS_MS, WEBHOOK_TIMEOUT_MS } = require('../config');
+
+const WORKER_INTERVAL_MS = 15 * 1000;
+
+let processing = false;
+
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Report fields sent in payloads (the event log and incidents are left out)
+function reportPayload(report) {
+    const { events, incidents, ...summary } = report;
+    return summary;
+}
+
+// Queue deliveries of an event to every subscribed webhook. report.flagged is
+// only sent to webhooks whose threshold the report's score falls below.
+// Failures are logged but never break the request that triggered the event.
+function emit(event, data) {
+    try {
+        const occurredAt = new Date().toISOString();
+        Webhook.findSubscribed(event).forEach(webhook => {
+            if (event === 'report.flagged' && !(data.report.integrityScore < webhook.flagThreshold)) {
+                return;
+            }
+
+            const payload = { event, occurredAt, data };
+            if (event === 'report.flagged') {
+                payload.data = { ...data, threshold: webhook.flagThreshold };
+            }
+            WebhookDelivery.create({
+                id: generateId(),
+                webhookId: webhook.id,
+                event,
+                body: JSON.stringify(payload)
+            });
+        });
+        setImmediate(processDueDeliveries);
+    } catch (error) {
+        console.error(`Error queueing webhook deliveries for ${event}:`, error);
+    }
+}
+
+// Queue a new delivery with the same body as an earlier one
+function redeliver(deliveryId) {
+    const original = WebhookDelivery.findById(deliveryId);
+    if (!original) return null;
+
+    const delivery = WebhookDelivery.create({
+        id: generateId(),
+        webhookId: original.webhookId,
+        event: original.event,
+        body: WebhookDelivery.findBody(deliveryId),
+        redeliveryOf: original.id
+    });
+    setImmediate(processDueDeliveries);
+    return delivery;
+}
+
+// Make one attempt at a delivery and record the outcome. Any 2xx response is
+// a success; anything else is retried on the WEBHOOK_RETRY_DELAYS_MS schedule.
+async function attempt(delivery) {
+    const webhook = Webhook.findById(delivery.webhookId);
+    if (!webhook) {
+        return WebhookDelivery.recordAttempt(delivery.id, { success: false, error: 'Webhook no longer exists' });
+    }
+
+    const body = WebhookDelivery.findBody(delivery.id);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+    let error = null;
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'InterviewGuard-Webhooks/1.0',
+                'X-InterviewGuard-Event': delivery.event,
+                'X-InterviewGuard-Delivery': delivery.id,
+                'X-InterviewGuard-Signature': `t=${timestamp},v1=${sign(webhook.secret, timestamp, body)}`
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        responseStatus = response.status;
+        if (!response.ok) {
+            error = `HTTP ${response.status}`;
+        }
+        // Drain the body so the connection can be reused
+        await response.arrayBuffer().catch(() => {});
+    } catch (requestError) {
+        error = requestError.name === 'TimeoutError'
+            ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms`
+            : (requestError.cause && requestError.cause.message) || requestError.message;
+    }
+
+    const delay = WEBHOOK_RETRY_DELAYS_MS[delivery.attempts];
+    return WebhookDelivery.recordAttempt(delivery.id, {
+        success: !error,
+        responseStatus,
+        error,
+        nextAttemptAt: error && delay !== undefined ? new Date(Date.now() + delay) : null
+    });
+}
+
+// Send every delivery that is due, one at a time
+async function processDueDeliveries() {
+    if (processing) return;
+    processing = true;
+
+    try {
+        let due;
+        while ((due = WebhookDelivery.findDue()).length) {
+            for (const delivery of due) {
+                await attempt(delivery);
+            }
+        }
+    } catch (error) {
+        console.error('Error processing webhook deliveries:', error);
+    } finally {
+        processing = false;
+    }
+}
+
+// Retry due deliveries periodically, including ones left pending by a restart
+function startDeliveryWorker() {
+    processDueDeliveries();
+    setInterval(processDueDeliveries, WORKER_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    sign,
+    reportPayload,
+    emit,
+    redeliver,
+    processDueDeliveries,
+    startDeliveryWorker
+};
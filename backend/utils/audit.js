@@ -0,0 +1,21 @@
+// backend/utils/audit.js
+const AuditLog = require('../models/AuditLog');
+
+// Record an action performed by the user of a request. Failures are logged
+// but never break the request that triggered them.
+function audit(req, action, resourceType, resourceId, details) {
+    try {
+        AuditLog.record({
+            user: req ? req.user : null,
+            action,
+            resourceType,
+            resourceId,
+            ipAddress: req ? req.ip : null,
+            details
+        });
+    } catch (error) {
+        console.error(`Error writing audit entry for ${action}:`, error);
+    }
+}
+
+module.exports = audit;
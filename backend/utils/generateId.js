@@ -0,0 +1,8 @@
+// backend/utils/generateId.js
+
+// Generate a unique ID
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+module.exports = generateId;
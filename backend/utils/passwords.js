@@ -0,0 +1,26 @@
+// backend/utils/passwords.js
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+
+// Hash a password with a random salt, stored as "salt:hash"
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+// Check a password against a stored "salt:hash" value
+function verifyPassword(password, stored) {
+    const [salt, hash] = (stored || '').split(':');
+    if (!salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, KEY_LENGTH);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,129 @@
+// backend/utils/reportContent.js
+const { getScoreDescription, getRecommendation } = require('./scoring');
+const { INCIDENT_TYPES, summarizeIncidents, describeIncidentTotals, formatIncidentDuration } = require('../../frontend/incidents');
+
+// Generate report content for download
+function generateReportContent(report) {
+    return `
+=== INTERVIEWGUARD PRO - PROCTORING REPORT ===
+Report ID: ${report.id}
+Generated: ${new Date(report.timestamp).toLocaleString()}
+
+--- CANDIDATE INFORMATION ---
+Name: ${report.candidateName}
+Interview Duration: ${report.interviewDuration}
+Start Time: ${new Date(report.startTime).toLocaleString()}
+End Time: ${new Date(report.endTime).toLocaleString()}
+Detection Policy: ${report.policy ? report.policy.name : 'Not recorded'}
+
+--- FOCUS ANALYSIS ---
+Times looked away: ${report.focusIssues.lookAwayCount}
+Times no face detected: ${report.focusIssues.noFaceCount}
+Multiple faces detected: ${report.focusIssues.multipleFacesCount}
+Identity mismatches: ${report.focusIssues.identityMismatchCount || 0}
+${identitySummary(report.identityVerification)}
+
+--- PROHIBITED ITEMS DETECTED ---
+Mobile phones: ${report.prohibitedItems.phonesDetected}
+Books/notes: ${report.prohibitedItems.booksDetected}
+Other devices: ${report.prohibitedItems.devicesDetected}
+
+--- AUDIO ANALYSIS ---
+Speech during silent periods: ${report.audioIssues.speechCount}
+Multiple voices: ${report.audioIssues.multipleVoicesCount}
+Background whispering: ${report.audioIssues.whisperingCount}
+
+--- BROWSER ACTIVITY ---
+Left the interview tab: ${report.browserIssues.tabSwitchCount}
+Left fullscreen: ${report.browserIssues.fullscreenExitCount}
+Copy, paste or context menu: ${report.browserIssues.clipboardCount}
+Window resized: ${report.browserIssues.windowResizeCount}
+Second display: ${report.browserIssues.secondDisplayCount}
+Screen sharing stopped: ${report.browserIssues.screenShareStoppedCount}
+
+--- DETECTION PERFORMANCE ---
+${performanceSummary(report.detectionPerformance)}
+
+--- INCIDENTS ---
+${incidentSummary(report)}
+
+--- FINAL ASSESSMENT ---
+Integrity Score: ${report.integrityScore}/100 (scoring rules v${report.scoringVersion})
+${getScoreDescription(report.integrityScore, report.scoringVersion)}
+
+Recommendation: ${getRecommendation(report.integrityScore, report.scoringVersion)}
+
+=== DETAILED EVENT LOG ===
+${(report.events || []).map(event => `[${event.timestamp}] ${event.message}`).join('\n')}
+
+=============================================
+InterviewGuard Pro - AI-Powered Proctoring System
+    `;
+}
+
+// Totals by incident type followed by every incident in order
+function incidentSummary(report) {
+    const incidents = report.incidents || [];
+    if (incidents.length === 0) {
+        const counters = { ...report.focusIssues, ...report.prohibitedItems, ...report.audioIssues, ...report.browserIssues };
+        return Object.values(counters).some(count => count > 0)
+            ? 'Incident details were not recorded for this report'
+            : 'No incidents detected';
+    }
+
+    const summary = summarizeIncidents(incidents);
+    const totals = Object.entries(INCIDENT_TYPES)
+        .filter(([type]) => summary[type].count > 0)
+        .map(([type, { label }]) => `${label}: ${describeIncidentTotals(summary[type])}`);
+    const timeline = incidents.map(incident => {
+        const details = [];
+        if (incident.peakConfidence !== null) details.push(`peak confidence ${Math.round(incident.peakConfidence * 100)}%`);
+        if (incident.recordingOffset !== null) details.push(`recording at ${formatIncidentDuration(incident.recordingOffset)}`);
+        const label = INCIDENT_TYPES[incident.type].label + (incident.label ? ` (${incident.label})` : '');
+        return `[${new Date(incident.startedAt).toLocaleTimeString()}] ${label} for ${formatIncidentDuration(incident.duration)}`
+            + (details.length ? ` - ${details.join(', ')}` : '');
+    });
+
+    return [...totals, '', ...timeline].join('\n');
+}
+
+// Describe the identity checks run during the interview
+function identitySummary(verification) {
+    if (!verification || !verification.referenceCapturedAt) {
+        return 'Identity verification: not performed';
+    }
+
+    const lines = [
+        `Identity verification: reference face captured ${new Date(verification.referenceCapturedAt).toLocaleString()}`,
+        `Identity checks: ${verification.checks} (${verification.failedChecks} did not match)`
+    ];
+    if (verification.idPhotoMatch !== null && verification.idPhotoMatch !== undefined) {
+        lines.push(`ID photo: ${verification.idPhotoMatch ? 'matches' : 'DOES NOT MATCH'} the candidate`);
+    }
+    return lines.join('\n');
+}
+
+// Rate and latency each detection model achieved on the interview device
+function performanceSummary(performance) {
+    if (!performance) {
+        return 'Detection performance: not recorded';
+    }
+
+    const models = { face: 'Face detection', objects: 'Object detection' };
+    const lines = Object.entries(models).filter(([model]) => performance[model]).map(([model, label]) => {
+        const stats = performance[model];
+        const latency = stats.averageLatencyMs === null
+            ? 'latency not measured'
+            : `${stats.averageLatencyMs} ms average, ${stats.p95LatencyMs} ms p95, ${stats.maxLatencyMs} ms max latency`;
+        return `${label}: ${stats.fps} fps (policy ${stats.targetFps} fps), ${latency}, `
+            + `${stats.frames} frames analysed, ${stats.skippedFrames} skipped`;
+    });
+    if (performance.backend) {
+        lines.push(`Inference backend: ${performance.backend}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    generateReportContent
+};
@@ -0,0 +1,156 @@
+// backend/utils/reportQuery.js
+const { SORT_COLUMNS, ISSUE_COLUMNS } = require('../models/Report');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_SEARCH_LENGTH = 200;
+const MAX_EXPORT_IDS = 100;
+const EXPORT_FORMATS = ['csv', 'ndjson', 'zip'];
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseInteger(value, field, { min, max, fallback }, errors) {
+    if (value === undefined || value === '') return fallback;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        errors.push({ field, message: `must be an integer between ${min} and ${max}` });
+        return fallback;
+    }
+    return number;
+}
+
+// Parse a date filter. A plain YYYY-MM-DD `to` date includes the whole day.
+function parseDateFilter(value, field, errors) {
+    if (value === undefined || value === '') return undefined;
+
+    const date = new Date(value);
+    if (typeof value !== 'string' || isNaN(date.getTime())) {
+        errors.push({ field, message: 'must be a valid date' });
+        return undefined;
+    }
+    if (field === 'to' && DATE_ONLY_PATTERN.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCMilliseconds(-1);
+    }
+    return date.toISOString();
+}
+
+// Validate the query string of GET /api/reports.
+// Returns { value, errors } where value holds { filters, page, limit, sort, order }.
+function parseReportQuery(query) {
+    const errors = [];
+
+    const page = parseInteger(query.page, 'page', { min: 1, max: Number.MAX_SAFE_INTEGER, fallback: 1 }, errors);
+    const limit = parseInteger(query.limit, 'limit', { min: 1, max: MAX_PAGE_SIZE, fallback: DEFAULT_PAGE_SIZE }, errors);
+
+    // A parameter repeated in the query string arrives as an array
+    const sort = query.sort || 'timestamp';
+    if (typeof sort !== 'string' || !Object.prototype.hasOwnProperty.call(SORT_COLUMNS, sort)) {
+        errors.push({ field: 'sort', message: `must be one of ${Object.keys(SORT_COLUMNS).join(', ')}` });
+    }
+    const requestedOrder = query.order || (sort === 'candidateName' ? 'asc' : 'desc');
+    const order = typeof requestedOrder === 'string' ? requestedOrder.toLowerCase() : null;
+    if (order !== 'asc' && order !== 'desc') {
+        errors.push({ field: 'order', message: 'must be asc or desc' });
+    }
+
+    const search = typeof query.q === 'string' ? query.q.trim() : '';
+    if (search.length > MAX_SEARCH_LENGTH) {
+        errors.push({ field: 'q', message: `must not exceed ${MAX_SEARCH_LENGTH} characters` });
+    }
+
+    const minScore = parseInteger(query.minScore, 'minScore', { min: 0, max: 100 }, errors);
+    const maxScore = parseInteger(query.maxScore, 'maxScore', { min: 0, max: 100 }, errors);
+    if (minScore !== undefined && maxScore !== undefined && minScore > maxScore) {
+        errors.push({ field: 'minScore', message: 'must not be greater than maxScore' });
+    }
+
+    const issues = typeof query.issues === 'string' && query.issues
+        ? query.issues.split(',').map(issue => issue.trim()).filter(Boolean)
+        : [];
+    issues.forEach(issue => {
+        if (!ISSUE_COLUMNS[issue]) {
+            errors.push({ field: 'issues', message: `unknown issue "${issue}", expected ${Object.keys(ISSUE_COLUMNS).join(', ')}` });
+        }
+    });
+
+    return {
+        value: {
+            filters: {
+                search,
+                from: parseDateFilter(query.from, 'from', errors),
+                to: parseDateFilter(query.to, 'to', errors),
+                minScore,
+                maxScore,
+                issues
+            },
+            page,
+            limit,
+            sort,
+            order
+        },
+        errors
+    };
+}
+
+// Parse a list of report ids given as an array or a comma separated string
+function parseIds(value, field, max, errors) {
+    const ids = Array.isArray(value) ? value : String(value).split(',');
+    const unique = [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+    if (!unique.length) {
+        errors.push({ field, message: 'must contain at least one report id' });
+    }
+    if (unique.length > max) {
+        errors.push({ field, message: `must not contain more than ${max} ids` });
+    }
+    return unique;
+}
+
+// Validate the query string of GET /api/reports/export. Either exports the
+// selected ids, or every report matching the same filters as GET /api/reports.
+// ZIP archives include recordings, so they always need a selection.
+function parseExportQuery(query) {
+    const { value, errors } = parseReportQuery(query);
+    const format = query.format || 'csv';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        errors.push({ field: 'format', message: `must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if (query.ids !== undefined) {
+        value.filters.ids = parseIds(query.ids, 'ids', MAX_EXPORT_IDS, errors);
+    } else if (format === 'zip') {
+        errors.push({ field: 'ids', message: 'select the reports to include in a ZIP archive' });
+    }
+
+    return {
+        value: { filters: value.filters, sort: value.sort, order: value.order, format },
+        errors
+    };
+}
+
+// Validate the query string of GET /api/stats: from, to and interval (day or week)
+function parseStatsQuery(query, intervals) {
+    const errors = [];
+
+    const interval = query.interval || 'day';
+    if (!intervals.includes(interval)) {
+        errors.push({ field: 'interval', message: `must be one of ${intervals.join(', ')}` });
+    }
+
+    const from = parseDateFilter(query.from, 'from', errors);
+    const to = parseDateFilter(query.to, 'to', errors);
+    if (from && to && from > to) {
+        errors.push({ field: 'from', message: 'must not be after to' });
+    }
+
+    return { value: { from, to, interval }, errors };
+}
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    MAX_EXPORT_IDS,
+    parseIds,
+    parseReportQuery,
+    parseExportQuery,
+    parseStatsQuery
+};
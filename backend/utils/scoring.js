@@ -0,0 +1,34 @@
+// backend/utils/scoring.js
+// The scoring rules live in frontend/scoring.js so the browser and the
+// server score interviews the same way
+const Scoring = require('../../frontend/scoring');
+
+// Deductions of the latest rule set, the defaults for detection policies
+const DEDUCTIONS = Scoring.getRules().deductions;
+
+// Score a report with a rule set (the latest by default), with the
+// deductions of the detection policy it was made with, if any. Returns
+// { integrityScore, scoreDetails } where scoreDetails records what produced
+// the score: the rule set version, the policy and the deductions applied.
+function scoreReport(report, version = Scoring.LATEST_VERSION) {
+    const options = {
+        version,
+        deductions: report.policy ? report.policy.settings.deductions : undefined
+    };
+    return {
+        integrityScore: Scoring.calculateIntegrityScore(report, options),
+        scoreDetails: {
+            version,
+            policy: report.policy
+                ? { id: report.policy.id, name: report.policy.name, updatedAt: report.policy.updatedAt }
+                : null,
+            deductions: Scoring.resolveDeductions(options)
+        }
+    };
+}
+
+module.exports = {
+    ...Scoring,
+    DEDUCTIONS,
+    scoreReport
+};
@@ -0,0 +1,140 @@
+// backend/utils/validatePolicy.js
+const { DEDUCTIONS } = require('./scoring');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// COCO-SSD classes a policy can treat as prohibited items. Phones and books
+// have their own counters; everything else counts as an electronic device.
+const ITEM_CLASSES = ['cell phone', 'book', 'laptop', 'keyboard', 'mouse', 'remote', 'tv'];
+
+// Numeric settings and their allowed ranges
+const NUMBER_SETTINGS = {
+    face: {
+        intervalMs: { min: 100, max: 5000, integer: true },
+        lookAwayThreshold: { min: 0.01, max: 0.5 },
+        ratioThreshold: { min: 0.1, max: 1 },
+        lookAwaySeconds: { min: 0.5, max: 60 },
+        noFaceSeconds: { min: 1, max: 300 }
+    },
+    objects: {
+        intervalMs: { min: 100, max: 10000, integer: true },
+        minConfidence: { min: 0.1, max: 1 },
+        graceSeconds: { min: 0, max: 60 }
+    },
+    audio: {
+        speechSeconds: { min: 1, max: 60 },
+        whisperSeconds: { min: 1, max: 60 },
+        voiceMarginDb: { min: 3, max: 40 }
+    },
+    browser: {
+        awaySeconds: { min: 0, max: 60 },
+        resizeThreshold: { min: 0.05, max: 0.9 }
+    },
+    deductions: Object.fromEntries(Object.keys(DEDUCTIONS).map(key => [key, { min: 0, max: 100, integer: true }]))
+};
+
+// On/off settings
+const BOOLEAN_SETTINGS = {
+    audio: ['requireSilence'],
+    browser: ['requireFullscreen', 'blockClipboard'],
+    screen: ['record', 'endOnStop']
+};
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseNumber(value, { min, max, integer }, field, errors) {
+    if (typeof value !== 'number' || !(value >= min && value <= max) || (integer && !Number.isInteger(value))) {
+        errors.push({ field, message: `must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}` });
+        return undefined;
+    }
+    return value;
+}
+
+// Validate the settings object of a policy. Every setting is required so
+// the interview page never has to guess a value.
+function parseSettings(settings, errors) {
+    if (!isObject(settings)) {
+        errors.push({ field: 'settings', message: 'must be an object' });
+        return undefined;
+    }
+
+    const value = {};
+    Object.entries(NUMBER_SETTINGS).forEach(([group, fields]) => {
+        const source = settings[group];
+        if (!isObject(source)) {
+            errors.push({ field: `settings.${group}`, message: 'must be an object' });
+            return;
+        }
+        value[group] = {};
+        Object.entries(fields).forEach(([key, range]) => {
+            value[group][key] = parseNumber(source[key], range, `settings.${group}.${key}`, errors);
+        });
+    });
+
+    if (value.objects) {
+        const items = settings.objects.prohibitedItems;
+        if (!Array.isArray(items) || !items.every(item => ITEM_CLASSES.includes(item))) {
+            errors.push({ field: 'settings.objects.prohibitedItems', message: `must be a list of ${ITEM_CLASSES.join(', ')}` });
+        } else {
+            value.objects.prohibitedItems = [...new Set(items)];
+        }
+    }
+    Object.entries(BOOLEAN_SETTINGS).forEach(([group, keys]) => {
+        if (!value[group]) {
+            // Groups without numeric settings are checked here
+            if (NUMBER_SETTINGS[group]) return;
+            if (!isObject(settings[group])) {
+                errors.push({ field: `settings.${group}`, message: 'must be an object' });
+                return;
+            }
+            value[group] = {};
+        }
+        keys.forEach(key => {
+            if (typeof settings[group][key] !== 'boolean') {
+                errors.push({ field: `settings.${group}.${key}`, message: 'must be true or false' });
+            } else {
+                value[group][key] = settings[group][key];
+            }
+        });
+    });
+
+    return value;
+}
+
+// Validate and normalise policy fields. With partial, only the fields present
+// are checked (settings are still validated as a whole).
+// Returns { value, errors } where errors is a list of { field, message }.
+function validatePolicy(body, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > MAX_NAME_LENGTH) {
+            errors.push({ field: 'name', message: `must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+        } else {
+            value.name = body.name.trim();
+        }
+    }
+    if (body.description !== undefined && body.description !== null) {
+        if (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH) {
+            errors.push({ field: 'description', message: `must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` });
+        } else {
+            value.description = body.description.trim() || null;
+        }
+    } else if (body.description === null) {
+        value.description = null;
+    }
+    if (!partial || body.settings !== undefined) {
+        value.settings = parseSettings(body.settings, errors);
+    }
+
+    return { value, errors };
+}
+
+module.exports = {
+    ITEM_CLASSES,
+    validatePolicy
+};
@@ -0,0 +1,361 @@
+// backend/utils/validateReport.js
+const { INCIDENT_TYPES, countIncidents } = require('../../frontend/incidents');
+
+// Limits on submitted report data
+const MAX_EVENTS = 5000;
+const MAX_INCIDENTS = 5000;
+const MAX_INCIDENT_LABEL_LENGTH = 100;
+const MAX_EVENT_MESSAGE_LENGTH = 1000;
+const MAX_CANDIDATE_NAME_LENGTH = 200;
+const MAX_COUNTER_VALUE = 100000;
+const MAX_VIDEOS = 10;
+const MAX_LATENCY_MS = 600000;
+const MAX_FPS = 1000;
+const MAX_BACKEND_LENGTH = 32;
+const PERFORMANCE_MODELS = ['face', 'objects'];
+const EVENT_TYPES = ['info', 'success', 'warning', 'error'];
+const DURATION_PATTERN = /^\d{2,}:[0-5]\d:[0-5]\d$/;
+
+const COUNTER_FIELDS = {
+    focusIssues: ['lookAwayCount', 'noFaceCount', 'multipleFacesCount', 'identityMismatchCount'],
+    prohibitedItems: ['phonesDetected', 'booksDetected', 'devicesDetected'],
+    audioIssues: ['speechCount', 'multipleVoicesCount', 'whisperingCount'],
+    browserIssues: ['tabSwitchCount', 'fullscreenExitCount', 'clipboardCount', 'windowResizeCount', 'secondDisplayCount',
+        'screenShareStoppedCount']
+};
+
+// Coerce a counter to a non-negative integer, recording an error if it is invalid
+function parseCounter(value, field, errors) {
+    if (value === undefined || value === null || value === '') return 0;
+
+    const number = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof number !== 'number' || !Number.isInteger(number) || number < 0) {
+        errors.push({ field, message: 'must be a non-negative integer' });
+        return 0;
+    }
+    if (number > MAX_COUNTER_VALUE) {
+        errors.push({ field, message: `must not exceed ${MAX_COUNTER_VALUE}` });
+        return 0;
+    }
+    return number;
+}
+
+// Coerce a date value to an ISO string, recording an error if it cannot be parsed
+function parseDate(value, field, errors) {
+    if (value === undefined || value === null || value === '') return new Date().toISOString();
+
+    const date = new Date(value);
+    if ((typeof value !== 'string' && typeof value !== 'number') || isNaN(date.getTime())) {
+        errors.push({ field, message: 'must be a valid date' });
+        return null;
+    }
+    return date.toISOString();
+}
+
+function parseCounterGroup(body, group, errors) {
+    let source = body[group] || {};
+    if (typeof source !== 'object' || Array.isArray(source)) {
+        errors.push({ field: group, message: 'must be an object' });
+        source = {};
+    }
+
+    return COUNTER_FIELDS[group].reduce((result, key) => {
+        result[key] = parseCounter(source[key], `${group}.${key}`, errors);
+        return result;
+    }, {});
+}
+
+function parseEvents(value, errors) {
+    if (value === undefined || value === null) return [];
+
+    if (!Array.isArray(value)) {
+        errors.push({ field: 'events', message: 'must be an array' });
+        return [];
+    }
+    if (value.length > MAX_EVENTS) {
+        errors.push({ field: 'events', message: `must not contain more than ${MAX_EVENTS} entries` });
+        return [];
+    }
+
+    return value.map((event, index) => {
+        const field = `events[${index}]`;
+        if (!event || typeof event !== 'object') {
+            errors.push({ field, message: 'must be an object' });
+            return null;
+        }
+
+        const message = event.message === undefined ? '' : String(event.message);
+        if (message.length > MAX_EVENT_MESSAGE_LENGTH) {
+            errors.push({ field: `${field}.message`, message: `must not exceed ${MAX_EVENT_MESSAGE_LENGTH} characters` });
+        }
+
+        const type = event.type || 'info';
+        if (!EVENT_TYPES.includes(type)) {
+            errors.push({ field: `${field}.type`, message: `must be one of ${EVENT_TYPES.join(', ')}` });
+        }
+
+        return {
+            timestamp: String(event.timestamp || '').slice(0, 32),
+            message: message,
+            type: type
+        };
+    });
+}
+
+// Parse the start or end time of an incident, which is required
+function parseIncidentTime(value, field, errors) {
+    if (value === undefined || value === null || value === '') {
+        errors.push({ field, message: 'is required' });
+        return null;
+    }
+    return parseDate(value, field, errors);
+}
+
+// Parse an optional number within a range, rounded to the given number of decimals
+function parseOptionalNumber(value, { min, max, decimals }, field, errors) {
+    if (value === undefined || value === null) return null;
+
+    if (typeof value !== 'number' || !(value >= min && value <= max)) {
+        errors.push({ field, message: `must be a number between ${min} and ${max}, or null` });
+        return null;
+    }
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// Incidents detected by the browser (see frontend/incidents.js). Durations
+// are computed here from the start and end times.
+function parseIncidents(value, errors) {
+    if (!Array.isArray(value)) {
+        errors.push({ field: 'incidents', message: 'must be an array' });
+        return [];
+    }
+    if (value.length > MAX_INCIDENTS) {
+        errors.push({ field: 'incidents', message: `must not contain more than ${MAX_INCIDENTS} entries` });
+        return [];
+    }
+
+    return value.map((incident, index) => {
+        const field = name => `incidents[${index}].${name}`;
+        if (!incident || typeof incident !== 'object' || Array.isArray(incident)) {
+            errors.push({ field: `incidents[${index}]`, message: 'must be an object' });
+            return null;
+        }
+
+        if (!INCIDENT_TYPES[incident.type]) {
+            errors.push({ field: field('type'), message: `must be one of ${Object.keys(INCIDENT_TYPES).join(', ')}` });
+        }
+
+        const startedAt = parseIncidentTime(incident.startedAt, field('startedAt'), errors);
+        const endedAt = parseIncidentTime(incident.endedAt, field('endedAt'), errors);
+        if (startedAt && endedAt && endedAt < startedAt) {
+            errors.push({ field: field('endedAt'), message: 'must not be before startedAt' });
+        }
+
+        let label = null;
+        if (incident.label !== undefined && incident.label !== null) {
+            if (typeof incident.label !== 'string' || incident.label.length > MAX_INCIDENT_LABEL_LENGTH) {
+                errors.push({ field: field('label'), message: `must be a string of at most ${MAX_INCIDENT_LABEL_LENGTH} characters` });
+            } else {
+                label = incident.label;
+            }
+        }
+
+        return {
+            type: incident.type,
+            startedAt,
+            endedAt,
+            duration: startedAt && endedAt ? Math.round((Date.parse(endedAt) - Date.parse(startedAt)) / 100) / 10 : 0,
+            peakConfidence: parseOptionalNumber(incident.peakConfidence, { min: 0, max: 1, decimals: 3 },
+                field('peakConfidence'), errors),
+            recordingOffset: parseOptionalNumber(incident.recordingOffset, { min: 0, max: 7 * 24 * 3600, decimals: 1 },
+                field('recordingOffset'), errors),
+            label
+        };
+    });
+}
+
+// Summary of the identity checks run by the browser:
+// { referenceCapturedAt, checks, failedChecks, idPhotoMatch, idPhotoDistance }
+function parseIdentityVerification(value, errors) {
+    if (value === undefined || value === null) return null;
+
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ field: 'identityVerification', message: 'must be an object' });
+        return null;
+    }
+
+    const field = name => `identityVerification.${name}`;
+    let referenceCapturedAt = null;
+    if (value.referenceCapturedAt !== undefined && value.referenceCapturedAt !== null) {
+        referenceCapturedAt = parseDate(value.referenceCapturedAt, field('referenceCapturedAt'), errors);
+    }
+
+    let idPhotoMatch = null;
+    if (value.idPhotoMatch !== undefined && value.idPhotoMatch !== null) {
+        if (typeof value.idPhotoMatch !== 'boolean') {
+            errors.push({ field: field('idPhotoMatch'), message: 'must be true, false or null' });
+        } else {
+            idPhotoMatch = value.idPhotoMatch;
+        }
+    }
+
+    let idPhotoDistance = null;
+    if (value.idPhotoDistance !== undefined && value.idPhotoDistance !== null) {
+        if (typeof value.idPhotoDistance !== 'number' || !(value.idPhotoDistance >= 0 && value.idPhotoDistance <= 10)) {
+            errors.push({ field: field('idPhotoDistance'), message: 'must be a number between 0 and 10' });
+        } else {
+            idPhotoDistance = Math.round(value.idPhotoDistance * 1000) / 1000;
+        }
+    }
+
+    return {
+        referenceCapturedAt,
+        checks: parseCounter(value.checks, field('checks'), errors),
+        failedChecks: parseCounter(value.failedChecks, field('failedChecks'), errors),
+        idPhotoMatch,
+        idPhotoDistance
+    };
+}
+
+// Inference rate and latency measured by the browser:
+// { backend, face: { frames, skippedFrames, fps, targetFps, averageLatencyMs, p95LatencyMs, maxLatencyMs }, objects: {...} }
+function parseDetectionPerformance(value, errors) {
+    if (value === undefined || value === null) return null;
+
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ field: 'detectionPerformance', message: 'must be an object' });
+        return null;
+    }
+
+    let backend = null;
+    if (value.backend !== undefined && value.backend !== null) {
+        if (typeof value.backend !== 'string' || !value.backend || value.backend.length > MAX_BACKEND_LENGTH) {
+            errors.push({ field: 'detectionPerformance.backend', message: `must be a string of at most ${MAX_BACKEND_LENGTH} characters` });
+        } else {
+            backend = value.backend;
+        }
+    }
+
+    const performance = { backend };
+    PERFORMANCE_MODELS.forEach(model => {
+        const stats = value[model];
+        if (stats === undefined || stats === null) return;
+
+        const field = name => `detectionPerformance.${model}.${name}`;
+        if (typeof stats !== 'object' || Array.isArray(stats)) {
+            errors.push({ field: `detectionPerformance.${model}`, message: 'must be an object' });
+            return;
+        }
+        const rate = name => parseOptionalNumber(stats[name], { min: 0, max: MAX_FPS, decimals: 1 }, field(name), errors);
+        const latency = name => parseOptionalNumber(stats[name], { min: 0, max: MAX_LATENCY_MS, decimals: 1 }, field(name), errors);
+        performance[model] = {
+            frames: parseCounter(stats.frames, field('frames'), errors),
+            skippedFrames: parseCounter(stats.skippedFrames, field('skippedFrames'), errors),
+            fps: rate('fps'),
+            targetFps: rate('targetFps'),
+            averageLatencyMs: latency('averageLatencyMs'),
+            p95LatencyMs: latency('p95LatencyMs'),
+            maxLatencyMs: latency('maxLatencyMs')
+        };
+    });
+    return performance;
+}
+
+function parseVideoIds(value, errors) {
+    if (value === undefined || value === null) return [];
+
+    if (!Array.isArray(value) || !value.every(id => typeof id === 'string' && id)) {
+        errors.push({ field: 'videoIds', message: 'must be an array of video ids' });
+        return [];
+    }
+    if (value.length > MAX_VIDEOS) {
+        errors.push({ field: 'videoIds', message: `must not contain more than ${MAX_VIDEOS} entries` });
+        return [];
+    }
+    return [...new Set(value)];
+}
+
+// Validate and normalise a submitted report body.
+// Returns { value, errors } where errors is a list of { field, message }.
+function validateReport(body) {
+    const errors = [];
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { value: null, errors: [{ field: 'body', message: 'must be a JSON object' }] };
+    }
+
+    let candidateName = 'Test Candidate';
+    if (body.candidateName !== undefined && body.candidateName !== null) {
+        if (typeof body.candidateName !== 'string') {
+            errors.push({ field: 'candidateName', message: 'must be a string' });
+        } else if (body.candidateName.trim().length > MAX_CANDIDATE_NAME_LENGTH) {
+            errors.push({ field: 'candidateName', message: `must not exceed ${MAX_CANDIDATE_NAME_LENGTH} characters` });
+        } else if (body.candidateName.trim()) {
+            candidateName = body.candidateName.trim();
+        }
+    }
+
+    let interviewDuration = '00:00:00';
+    if (body.interviewDuration !== undefined && body.interviewDuration !== null && body.interviewDuration !== '') {
+        if (typeof body.interviewDuration !== 'string' || !DURATION_PATTERN.test(body.interviewDuration)) {
+            errors.push({ field: 'interviewDuration', message: 'must be in HH:MM:SS format' });
+        } else {
+            interviewDuration = body.interviewDuration;
+        }
+    }
+
+    const startTime = parseDate(body.startTime, 'startTime', errors);
+    const endTime = parseDate(body.endTime, 'endTime', errors);
+    if (startTime && endTime && endTime < startTime) {
+        errors.push({ field: 'endTime', message: 'must not be before startTime' });
+    }
+
+    // Counters are derived from the incidents when they are sent; older
+    // clients only send the counters
+    const incidents = body.incidents === undefined || body.incidents === null
+        ? null
+        : parseIncidents(body.incidents, errors);
+    const counters = incidents
+        ? countIncidents(incidents.filter(Boolean))
+        : Object.fromEntries(Object.keys(COUNTER_FIELDS).map(group => [group, parseCounterGroup(body, group, errors)]));
+
+    const value = {
+        candidateName,
+        interviewDuration,
+        startTime,
+        endTime,
+        ...counters,
+        identityVerification: parseIdentityVerification(body.identityVerification, errors),
+        detectionPerformance: parseDetectionPerformance(body.detectionPerformance, errors),
+        events: parseEvents(body.events, errors),
+        incidents: incidents || [],
+        videoIds: parseVideoIds(body.videoIds, errors),
+        sessionId: null,
+        policyId: null
+    };
+
+    if (body.sessionId !== undefined && body.sessionId !== null) {
+        if (typeof body.sessionId !== 'string' || !body.sessionId) {
+            errors.push({ field: 'sessionId', message: 'must be an interview session id' });
+        } else {
+            value.sessionId = body.sessionId;
+        }
+    }
+
+    if (body.policyId !== undefined && body.policyId !== null) {
+        if (typeof body.policyId !== 'string' || !body.policyId) {
+            errors.push({ field: 'policyId', message: 'must be a detection policy id' });
+        } else {
+            value.policyId = body.policyId;
+        }
+    }
+
+    return { value: errors.length ? null : value, errors };
+}
+
+module.exports = {
+    MAX_EVENTS,
+    MAX_INCIDENTS,
+    validateReport
+};
@@ -0,0 +1,89 @@
+// backend/utils/videoFiles.js
+const fs = require('fs');
+const path = require('path');
+const { videosDir, uploadsDir } = require('../config');
+
+// Path of the partial file for an in-progress upload
+function partPath(uploadId) {
+    return path.join(uploadsDir, `${uploadId}.part`);
+}
+
+// Path of a completed recording
+function videoPath(video) {
+    return path.join(videosDir, video.filename);
+}
+
+// Recording filenames are always generated by the server, e.g. video-<id>.webm
+const VIDEO_FILENAME_PATTERN = /^video-[a-z0-9]+\.(webm|mp4)$/;
+
+function isValidVideoFilename(filename) {
+    return typeof filename === 'string' &&
+        VIDEO_FILENAME_PATTERN.test(filename) &&
+        path.basename(filename) === filename;
+}
+
+// Stream a recording to the response. Range requests (206 Partial Content),
+// ETag/Last-Modified revalidation and HEAD are handled by res.sendFile, with
+// the file resolved relative to videosDir only.
+function sendVideo(res, video) {
+    if (!isValidVideoFilename(video.filename)) {
+        return res.status(404).json({ error: 'Video not found' });
+    }
+
+    res.type(video.mimeType || 'video/webm');
+    res.setHeader('Content-Disposition', `inline; filename="${video.filename}"`);
+    // Recordings are personal data, so never let shared caches store them
+    res.setHeader('Cache-Control', 'private, no-cache');
+
+    res.sendFile(video.filename, {
+        root: videosDir,
+        dotfiles: 'deny',
+        acceptRanges: true,
+        cacheControl: false,
+        etag: true,
+        lastModified: true
+    }, error => {
+        // Errors after streaming has started are client disconnects
+        if (!error || res.headersSent) return;
+
+        const status = error.status || 500;
+        res.removeHeader('Content-Disposition');
+        res.type('json');
+        if (error.headers) {
+            res.set(error.headers);
+        }
+        if (status === 404) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+        if (status === 416) {
+            return res.status(416).json({ error: 'Requested range not satisfiable' });
+        }
+        console.error('Error streaming video:', error);
+        res.status(status).json({ error: 'Failed to stream video' });
+    });
+}
+
+// A player fetches a recording in many Range requests; only the first one
+// (no Range header, or a range starting at byte 0) counts as opening it
+function isInitialVideoRequest(req) {
+    const range = req.headers.range;
+    return !range || /^bytes=0-/.test(range);
+}
+
+// Delete the stored file of a recording, whether finished or still uploading
+function removeVideoFiles(video) {
+    [videoPath(video), partPath(video.id)].forEach(filepath => {
+        if (fs.existsSync(filepath)) {
+            fs.unlinkSync(filepath);
+        }
+    });
+}
+
+module.exports = {
+    partPath,
+    videoPath,
+    isValidVideoFilename,
+    sendVideo,
+    isInitialVideoRequest,
+    removeVideoFiles
+};
@@ -0,0 +1,89 @@
+// Shared API and login helpers used by every page
+
+// API Base URL - Point to your backend
+const API_BASE_URL = 'http://localhost:3000/api';
+
+// The logged in user, set by requireLogin()
+let currentUser = null;
+
+// Call the API with the session cookie. Sends the user to the login page if the session has expired.
+async function apiFetch(url, options = {}) {
+    const response = await fetch(url, { credentials: 'include', ...options });
+
+    if (response.status === 401) {
+        redirectToLogin();
+        throw new Error('Please log in to continue');
+    }
+
+    return response;
+}
+
+function redirectToLogin() {
+    const page = window.location.pathname.split('/').pop() || 'index.html';
+    const next = encodeURIComponent(page + window.location.search);
+    window.location.href = `login.html?next=${next}`;
+}
+
+// Make sure a user with one of the given roles is logged in (admins can open every page)
+// and show the user with a logout button in the page header. With allowOffline,
+// a page reloaded while the server cannot be reached continues as the user
+// last seen in this tab.
+async function requireLogin(roles, { allowOffline = false } = {}) {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/auth/me`);
+        currentUser = await response.json();
+        sessionStorage.setItem('interviewguard:user', JSON.stringify(currentUser));
+    } catch (error) {
+        // fetch rejects with a TypeError when the request cannot be sent
+        const lastUser = allowOffline && error instanceof TypeError ? sessionStorage.getItem('interviewguard:user') : null;
+        if (!lastUser) throw error;
+        currentUser = JSON.parse(lastUser);
+    }
+
+    if (currentUser.role !== 'admin' && !roles.includes(currentUser.role)) {
+        document.querySelector('.container').innerHTML = `
+            <div class="error">
+                <i class="fas fa-lock"></i>
+                <p>Your account (${escapeHtml(currentUser.role)}) does not have access to this page.</p>
+                <button onclick="logout()" class="btn">Log in as another user</button>
+            </div>
+        `;
+        throw new Error('Access denied');
+    }
+
+    renderUserMenu();
+    return currentUser;
+}
+
+function renderUserMenu() {
+    const nav = document.querySelector('header nav') || document.querySelector('.header-buttons');
+    if (!nav) return;
+
+    const menu = document.createElement('div');
+    menu.className = 'user-menu';
+    menu.innerHTML = `
+        <span><i class="fas fa-user"></i> ${escapeHtml(currentUser.username)} (${escapeHtml(currentUser.role)})</span>
+        <button class="btn" type="button"><i class="fas fa-sign-out-alt"></i> Logout</button>
+    `;
+    menu.querySelector('button').addEventListener('click', logout);
+    nav.appendChild(menu);
+}
+
+async function logout() {
+    sessionStorage.clear();
+    try {
+        await fetch(`${API_BASE_URL}/auth/logout`, { method: 'POST', credentials: 'include' });
+    } finally {
+        window.location.href = 'login.html';
+    }
+}
+
+// Escape text before inserting it into HTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
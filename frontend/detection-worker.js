@@ -0,0 +1,80 @@
+// frontend/detection-worker.js
+// Face and object inference off the page's main thread. The page sends
+// video frames as ImageBitmaps; each is drawn to an OffscreenCanvas and run
+// through BlazeFace or COCO-SSD, and the predictions are posted back with
+// the time inference took. Every request carries an id that the reply
+// (a result or an error) repeats. The libraries and weights are the pinned
+// copies the backend serves under vendor/.
+importScripts(
+    'vendor/tfjs/tf.min.js',
+    'vendor/blazeface/blazeface.min.umd.js',
+    'vendor/coco-ssd/coco-ssd.min.js'
+);
+
+const MODEL_URLS = {
+    face: 'vendor/models/blazeface/model.json',
+    objects: 'vendor/models/coco-ssd/model.json'
+};
+const models = { face: null, objects: null };
+let canvas = null;
+let context = null;
+
+self.onmessage = async function(event) {
+    const { id, type, model } = event.data;
+    try {
+        if (type === 'load') {
+            await loadModel(model);
+            self.postMessage({ id, backend: tf.getBackend() });
+        } else if (type === 'detect') {
+            self.postMessage({ id, ...await detect(model, event.data.frame) });
+        } else {
+            throw new Error(`Unknown request: ${type}`);
+        }
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
+
+async function loadModel(model) {
+    await tf.ready();
+    const modelUrl = MODEL_URLS[model];
+    try {
+        if (model === 'face') {
+            models.face = await blazeface.load({ modelUrl });
+        } else if (model === 'objects') {
+            models.objects = await cocoSsd.load({ base: 'lite_mobilenet_v2', modelUrl });
+        } else {
+            throw new Error(`Unknown model: ${model}`);
+        }
+    } catch (error) {
+        throw new Error(`failed to load ${modelUrl} (${error.message})`);
+    }
+}
+
+// Run a model on a frame. The frame is closed once it has been read.
+async function detect(model, frame) {
+    let image;
+    try {
+        image = frameImageData(frame);
+    } finally {
+        frame.close();
+    }
+    if (!models[model]) {
+        throw new Error(`The ${model} model is not loaded`);
+    }
+
+    const started = performance.now();
+    const result = model === 'face'
+        ? await models.face.estimateFaces(image, false)
+        : await models.objects.detect(image);
+    return { result, latency: performance.now() - started };
+}
+
+function frameImageData(frame) {
+    if (!canvas || canvas.width !== frame.width || canvas.height !== frame.height) {
+        canvas = new OffscreenCanvas(frame.width, frame.height);
+        context = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    context.drawImage(frame, 0, 0);
+    return context.getImageData(0, 0, frame.width, frame.height);
+}
@@ -0,0 +1,88 @@
+// frontend/incidents.js
+// Incident model shared by the interview and report pages (as the global
+// Incidents) and by the backend (require('../../frontend/incidents')).
+// An incident is one continuous period during which something was detected:
+// { type, startedAt, endedAt, duration, peakConfidence, recordingOffset, label }
+// with ISO start and end times, the duration and recording offset in seconds,
+// the highest detection confidence (0-1, null when the detector gives none)
+// and, for devices, the detected item class. A report's counters are derived
+// from its incidents.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Incidents = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+    // Incident types and the report counter each one is counted in
+    const INCIDENT_TYPES = {
+        lookAway: { label: 'Looking away', group: 'focusIssues', counter: 'lookAwayCount' },
+        noFace: { label: 'No face detected', group: 'focusIssues', counter: 'noFaceCount' },
+        multipleFaces: { label: 'Multiple faces', group: 'focusIssues', counter: 'multipleFacesCount' },
+        identityMismatch: { label: 'Identity mismatch', group: 'focusIssues', counter: 'identityMismatchCount' },
+        phone: { label: 'Mobile phone', group: 'prohibitedItems', counter: 'phonesDetected' },
+        book: { label: 'Book', group: 'prohibitedItems', counter: 'booksDetected' },
+        device: { label: 'Electronic device', group: 'prohibitedItems', counter: 'devicesDetected' },
+        speech: { label: 'Speech during silent period', group: 'audioIssues', counter: 'speechCount' },
+        multipleVoices: { label: 'Multiple voices', group: 'audioIssues', counter: 'multipleVoicesCount' },
+        whispering: { label: 'Background whispering', group: 'audioIssues', counter: 'whisperingCount' },
+        tabSwitch: { label: 'Left the interview tab', group: 'browserIssues', counter: 'tabSwitchCount' },
+        fullscreenExit: { label: 'Left fullscreen', group: 'browserIssues', counter: 'fullscreenExitCount' },
+        clipboard: { label: 'Copy, paste or context menu', group: 'browserIssues', counter: 'clipboardCount' },
+        windowResize: { label: 'Window resized', group: 'browserIssues', counter: 'windowResizeCount' },
+        secondDisplay: { label: 'Second display', group: 'browserIssues', counter: 'secondDisplayCount' },
+        screenShareStopped: { label: 'Screen sharing stopped', group: 'browserIssues', counter: 'screenShareStoppedCount' }
+    };
+
+    // Report counters ({ focusIssues, prohibitedItems, audioIssues, browserIssues }) for a list of incidents
+    function countIncidents(incidents) {
+        const counters = { focusIssues: {}, prohibitedItems: {}, audioIssues: {}, browserIssues: {} };
+        Object.values(INCIDENT_TYPES).forEach(({ group, counter }) => {
+            counters[group][counter] = 0;
+        });
+        (incidents || []).forEach(incident => {
+            const type = INCIDENT_TYPES[incident.type];
+            if (type) {
+                counters[type.group][type.counter]++;
+            }
+        });
+        return counters;
+    }
+
+    // Number of incidents and their total duration in seconds, by type
+    function summarizeIncidents(incidents) {
+        const summary = Object.fromEntries(Object.keys(INCIDENT_TYPES).map(type => [type, { count: 0, duration: 0 }]));
+        (incidents || []).forEach(incident => {
+            const totals = summary[incident.type];
+            if (totals) {
+                totals.count++;
+                totals.duration = Math.round((totals.duration + (incident.duration || 0)) * 10) / 10;
+            }
+        });
+        return summary;
+    }
+
+    // Human readable duration, e.g. "45s" or "3m 05s"
+    function formatIncidentDuration(seconds) {
+        const total = Math.round(seconds || 0);
+        if (total < 60) return `${total}s`;
+        const minutes = Math.floor(total / 60);
+        if (minutes < 60) return `${minutes}m ${String(total % 60).padStart(2, '0')}s`;
+        return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+    }
+
+    // Totals of one incident type, e.g. "3m 00s total across 4 incidents"
+    function describeIncidentTotals(totals) {
+        if (!totals || totals.count === 0) return 'No incidents';
+        return `${formatIncidentDuration(totals.duration)} total across ${totals.count} incident${totals.count !== 1 ? 's' : ''}`;
+    }
+
+    return {
+        INCIDENT_TYPES,
+        countIncidents,
+        summarizeIncidents,
+        formatIncidentDuration,
+        describeIncidentTotals
+    };
+}));
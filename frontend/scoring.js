@@ -0,0 +1,214 @@
+// frontend/scoring.js
+// Integrity scoring rules, shared by the interview and report pages (as the
+// global Scoring) and by the backend (require('../../frontend/scoring')).
+// Rule sets are versioned and every report records the version that scored
+// it. To change weights or score bands, add a new version instead of editing
+// an existing one, then re-score old reports (POST /api/reports/rescore) so
+// they stay comparable with new ones.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Scoring = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+    // Score bands shared by the rule sets so far
+    const DESCRIPTIONS = [
+        { min: 90, label: 'EXCELLENT', text: 'No significant issues detected' },
+        { min: 70, label: 'GOOD', text: 'Minor focus issues observed' },
+        { min: 50, label: 'FAIR', text: 'Several focus and integrity concerns' },
+        { min: 0, label: 'POOR', text: 'Significant integrity issues detected' }
+    ];
+    const RECOMMENDATIONS = [
+        { min: 80, text: 'RECOMMENDED - Candidate maintained good focus and integrity throughout the interview.' },
+        { min: 60, text: 'CONDITIONALLY RECOMMENDED - Some focus issues were observed but may not disqualify the candidate.' },
+        { min: 0, text: 'NOT RECOMMENDED - Significant integrity issues suggest the interview may not reflect the candidate\'s authentic abilities.' }
+    ];
+    const LEVELS = [
+        { min: 80, level: 'high' },
+        { min: 60, level: 'medium' },
+        { min: 0, level: 'low' }
+    ];
+
+    const RULE_SETS = {
+        1: {
+            version: 1,
+            // Points deducted from 100 for each detected incident. Detection
+            // policies can set their own deductions.
+            deductions: {
+                lookAwayCount: 2,
+                noFaceCount: 5,
+                multipleFacesCount: 10,
+                identityMismatchCount: 15,
+                phonesDetected: 10,
+                booksDetected: 8,
+                devicesDetected: 7
+            },
+            // Bands are checked in order; the first whose min the score reaches applies
+            descriptions: DESCRIPTIONS,
+            recommendations: RECOMMENDATIONS,
+            // Badge colours used by the report pages
+            levels: LEVELS
+        },
+        // Adds deductions for audio incidents (speech during a silent
+        // period, multiple voices and whispering)
+        2: {
+            version: 2,
+            deductions: {
+                lookAwayCount: 2,
+                noFaceCount: 5,
+                multipleFacesCount: 10,
+                identityMismatchCount: 15,
+                phonesDetected: 10,
+                booksDetected: 8,
+                devicesDetected: 7,
+                speechCount: 5,
+                multipleVoicesCount: 10,
+                whisperingCount: 8
+            },
+            descriptions: DESCRIPTIONS,
+            recommendations: RECOMMENDATIONS,
+            levels: LEVELS
+        },
+        // Adds deductions for browser incidents (leaving the tab or
+        // fullscreen, copy/paste, resizing and a second display)
+        3: {
+            version: 3,
+            deductions: {
+                lookAwayCount: 2,
+                noFaceCount: 5,
+                multipleFacesCount: 10,
+                identityMismatchCount: 15,
+                phonesDetected: 10,
+                booksDetected: 8,
+                devicesDetected: 7,
+                speechCount: 5,
+                multipleVoicesCount: 10,
+                whisperingCount: 8,
+                tabSwitchCount: 8,
+                fullscreenExitCount: 5,
+                clipboardCount: 5,
+                windowResizeCount: 2,
+                secondDisplayCount: 10
+            },
+            descriptions: DESCRIPTIONS,
+            recommendations: RECOMMENDATIONS,
+            levels: LEVELS
+        },
+        // Adds a deduction for stopping screen sharing
+        4: {
+            version: 4,
+            deductions: {
+                lookAwayCount: 2,
+                noFaceCount: 5,
+                multipleFacesCount: 10,
+                identityMismatchCount: 15,
+                phonesDetected: 10,
+                booksDetected: 8,
+                devicesDetected: 7,
+                speechCount: 5,
+                multipleVoicesCount: 10,
+                whisperingCount: 8,
+                tabSwitchCount: 8,
+                fullscreenExitCount: 5,
+                clipboardCount: 5,
+                windowResizeCount: 2,
+                secondDisplayCount: 10,
+                screenShareStoppedCount: 10
+            },
+            descriptions: DESCRIPTIONS,
+            recommendations: RECOMMENDATIONS,
+            levels: LEVELS
+        }
+    };
+
+    // Counter groups of a report that are scored
+    const COUNTER_GROUPS = ['focusIssues', 'prohibitedItems', 'audioIssues', 'browserIssues'];
+
+    const VERSIONS = Object.keys(RULE_SETS).map(Number);
+    const LATEST_VERSION = Math.max(...VERSIONS);
+
+    // Get a rule set, the latest one unless a version is given
+    function getRules(version) {
+        const rules = RULE_SETS[version === undefined || version === null ? LATEST_VERSION : version];
+        if (!rules) {
+            throw new Error(`Unknown scoring version: ${version}`);
+        }
+        return rules;
+    }
+
+    // Deductions a rule set applies. The version decides which counters are
+    // deducted; a detection policy's deductions only override the weights of
+    // those counters, so reports scored with one version stay comparable.
+    function resolveDeductions({ version, deductions } = {}) {
+        const weights = Object.assign({}, getRules(version).deductions);
+        Object.keys(weights).forEach(key => {
+            if (deductions && typeof deductions[key] === 'number') {
+                weights[key] = deductions[key];
+            }
+        });
+        return weights;
+    }
+
+    // Points deducted for a set of counters. Only counters with a deduction
+    // count, so focus issues and prohibited items can be scored separately.
+    function sumDeductions(counters, options) {
+        const weights = resolveDeductions(options);
+        return Object.keys(counters || {})
+            .reduce((total, key) => total + (counters[key] || 0) * (weights[key] || 0), 0);
+    }
+
+    // Score from 0 to 100 for one group of counters (e.g. the focus score of a PDF)
+    function calculateCategoryScore(counters, options) {
+        return Math.max(0, 100 - sumDeductions(counters, options));
+    }
+
+    // Calculate the integrity score from the counter groups of a report
+    // ({ focusIssues, prohibitedItems, audioIssues, browserIssues }).
+    // Options: version (the latest by default) and deductions (a detection
+    // policy's weights for the counters the rule set deducts).
+    function calculateIntegrityScore(counters, options) {
+        const merged = Object.assign({}, ...COUNTER_GROUPS.map(group => (counters && counters[group]) || {}));
+        return calculateCategoryScore(merged, options);
+    }
+
+    function findBand(bands, score) {
+        return bands.find(band => score >= band.min) || bands[bands.length - 1];
+    }
+
+    // Short rating of a score, e.g. "GOOD"
+    function getScoreLabel(score, version) {
+        return findBand(getRules(version).descriptions, score).label;
+    }
+
+    // Rating of a score with its explanation, e.g. "GOOD - Minor focus issues observed"
+    function getScoreDescription(score, version) {
+        const band = findBand(getRules(version).descriptions, score);
+        return `${band.label} - ${band.text}`;
+    }
+
+    function getRecommendation(score, version) {
+        return findBand(getRules(version).recommendations, score).text;
+    }
+
+    // 'high', 'medium' or 'low', used for score badge colours
+    function getScoreLevel(score, version) {
+        return findBand(getRules(version).levels, score).level;
+    }
+
+    return {
+        VERSIONS,
+        LATEST_VERSION,
+        COUNTER_GROUPS,
+        getRules,
+        resolveDeductions,
+        sumDeductions,
+        calculateCategoryScore,
+        calculateIntegrityScore,
+        getScoreLabel,
+        getScoreDescription,
+        getRecommendation,
+        getScoreLevel
+    };
+}));
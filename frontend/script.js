@@ -6,26 +6,42 @@ let isInterviewRunning = false;
 let startTime = null;
 let timerInterval = null;
 
+// Incidents detected during the interview (see incidents.js); the focus and
+// prohibited item counters are derived from them. Incidents still in
+// progress are also kept by key until they end.
+let incidents = [];
+let openIncidents = {};
 
-let lookAwayCount = 0;
-let noFaceCount = 0;
-let multipleFacesCount = 0;
 let gazeDirectionHistory = [];
 const GAZE_HISTORY_LENGTH = 8; // Reduced for faster response
 
-// Object detection counters
-let phoneCount = 0;
-let bookCount = 0;
-let deviceCount = 0;
-
 // Detection variables
-let faceMesh = null;
-let objectDetectionModel = null;
 let lastFaceDetectedTime = null;
 let lookingAwayStartTime = null;
 let noFaceStartTime = null;
-let detectionInterval = null;
-let objectDetectionInterval = null;
+
+// Face and object inference runs in detection-worker.js. Requests waiting
+// for the worker's reply are kept by id. Each model has a schedule: it runs
+// on a new video frame once its interval has passed and it is not still busy
+// with an earlier frame.
+const inference = { worker: null, requests: new Map(), nextRequestId: 1, backend: null, models: {}, frameCallback: null };
+// Each model's interval backs off to this multiple of its measured latency,
+// leaving the worker time for the other model
+const INFERENCE_LOAD_FACTOR = 2;
+// Weight of the newest latency in the smoothed latency (0-1)
+const INFERENCE_LATENCY_SMOOTHING = 0.2;
+// A model running at less than 1/INFERENCE_SLOW_FACTOR of the policy's rate
+// is reported as too slow for full detection quality
+const INFERENCE_SLOW_FACTOR = 2;
+const INFERENCE_LABELS = { face: 'Face detection', objects: 'Object detection' };
+
+// Prohibited items tracked across object detection frames, so an item that
+// stays in view is one incident: { id, class, bbox, lastSeenAt }
+let trackedObjects = [];
+let nextTrackId = 1;
+// Bounding box overlap (intersection over union) at which a detection
+// continues a tracked item of the same class
+const TRACK_MIN_OVERLAP = 0.3;
 
 // Video recording variables
 let mediaRecorder = null;
@@ -34,21 +50,93 @@ let videoBlob = null;
 let recordingStartTime = null;
 let recordingTimerInterval = null;
 
+// Chunked video upload state
+let videoUpload = null;
+
+// Screen recording (getDisplayMedia), uploaded as a second recording of the
+// interview. Sharing can be stopped and resumed, giving one upload per period.
+let screenRecording = null;
+let screenUploads = [];
+const UPLOAD_RETRY_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
 // Event log array
 let eventLog = [];
 
-// Object detection classes we care about
-const PROHIBITED_ITEMS = ['cell phone', 'book', 'laptop', 'keyboard', 'mouse', 'remote'];
+// Scheduled interview session loaded from the join link (index.html?session=<token>)
+let interviewSession = null;
+
+// Live observer session: events and counters are pushed to the server while
+// the interview runs so proctors can follow it on proctor.html
+let liveSession = null;
+const LIVE_UPDATE_INTERVAL = 1000;
+const LIVE_MAX_EVENTS_PER_UPDATE = 100;
+
+// Identity verification: a reference face embedding is captured when the
+// interview starts and the candidate is re-checked against it periodically
+const identity = { modelsLoaded: false, idPhotoDescriptor: null, reference: null, interval: null };
+const FACE_API_MODEL_URL = 'vendor/models/face-api/';
+const IDENTITY_REFERENCE_SAMPLES = 3;
+const IDENTITY_SAMPLE_INTERVAL = 1000;
+const IDENTITY_CHECK_INTERVAL = 15000;
+// Euclidean distance between embeddings above which two faces are different people
+const IDENTITY_MATCH_THRESHOLD = 0.55;
+const IDENTITY_MISMATCH_CONFIRMATIONS = 2;
+
+// Audio monitoring: the microphone is analysed with the Web Audio API
+const audioMonitor = { context: null, analyser: null, interval: null, silenceRequired: false };
+const AUDIO_FRAME_INTERVAL = 100;
+// Pauses between words shorter than this do not end speech or whispering
+const AUDIO_PAUSE_MS = 800;
+// Pitch estimates of recent speech, used to tell voices apart
+const VOICE_WINDOW_MS = 6000;
+const VOICE_MIN_FRAMES = 8;
+// Two voices are heard when recent pitches form two groups this far apart
+const VOICE_PITCH_RATIO = 1.35;
+const MULTIPLE_VOICES_END_MS = 3000;
+
+// Browser monitoring: tab and window focus, fullscreen, clipboard, window
+// size and extra displays
+const browserMonitor = { listeners: [], awaySince: null, awayTimer: null, resizeTimer: null, state: null, choosingScreen: false };
+// The window size is checked once it has stopped changing for this long
+const RESIZE_SETTLE_MS = 500;
+const BROWSER_STATUS = {
+    focused: ['Interview tab active', 'good'],
+    away: ['Left the interview tab', 'danger'],
+    'not-fullscreen': ['Not in fullscreen', 'danger'],
+    'screen-share-stopped': ['Screen sharing stopped', 'danger'],
+    'second-display': ['Second display connected', 'danger'],
+    resized: ['Window resized', 'warning']
+};
 
-// API Base URL - Point to your backend
-const API_BASE_URL = 'http://localhost:3000/api';
+// Detection policy the interview runs with: thresholds, intervals, the
+// prohibited item classes and score deductions, loaded from /api/policies
+let detectionPolicy = null;
+let policyChoices = null;
 
 // Initialize the application when the page loads
 document.addEventListener('DOMContentLoaded', function() {
     initializeApp();
 });
 
+// Recorded chunks wait for upload only in memory, so ask before the page is
+// closed or reloaded while any are still queued
+window.addEventListener('beforeunload', function(event) {
+    if ([videoUpload, ...screenUploads].some(upload => upload && upload.chunks.length > 0)) {
+        event.preventDefault();
+        event.returnValue = '';
+    }
+});
+
 async function initializeApp() {
+    // Only interviewers run sessions from this page. The page (and its
+    // libraries and models, see service-worker.js) can be reloaded while the
+    // network is down, so it continues as the last known user then.
+    try {
+        await requireLogin(['interviewer'], { allowOffline: true });
+    } catch (error) {
+        return;
+    }
+    
     // Get DOM elements
     videoElement = document.getElementById('webcam');
     canvasElement = document.getElementById('output-canvas');
@@ -62,47 +150,300 @@ async function initializeApp() {
     document.getElementById('start-btn').addEventListener('click', startInterview);
     document.getElementById('stop-btn').addEventListener('click', stopInterview);
     document.getElementById('download-btn').addEventListener('click', downloadReport);
+    document.getElementById('id-photo-input').addEventListener('change', handleIdPhotoSelected);
+    document.getElementById('silence-toggle').addEventListener('change', handleSilenceToggle);
+    document.getElementById('fullscreen-btn').addEventListener('click', enterFullscreen);
+    document.getElementById('screen-share-btn').addEventListener('click', resumeScreenSharing);
+    document.getElementById('policy-select').addEventListener('change', updateScreenToggle);
     
     // Initialize status indicators
     updateStatusIndicators();
     updateScoreDisplay(100);
     
+    // Keep the page, libraries and models cached for reloads during an interview
+    registerServiceWorker();
+    
+    // Load the scheduled interview from the join link, if any
+    await loadInterviewSession();
+    await loadPolicyChoices();
+    
     // Load ML models
     try {
         await loadModels();
         logEvent('All AI models loaded successfully. System is ready.', 'success');
         showNotification('System initialized and ready for interview');
     } catch (error) {
+        // Without the detection models the interview cannot be monitored
         logEvent('Error loading AI models: ' + error.message, 'error');
         console.error('Error loading models:', error);
         showNotification('Error loading AI models. Please refresh the page.', 'error');
+        document.getElementById('model-error').textContent = `${error.message}. The interview cannot start without it: `
+            + 'reload the page, and if this keeps happening ask an administrator to run "npm run fetch-models" on the server.';
+        document.getElementById('model-error').style.display = 'block';
+        document.getElementById('start-btn').disabled = true;
     }
     
     logEvent('Application initialized. Click "Start Interview" to begin.', 'info');
 }
 
-// Load ML models
+// Get JSON from the API. Successful answers are kept for this tab and used
+// instead when the server cannot be reached, so a reload during an outage
+// still finds the interview session and its policy.
+async function fetchRemembered(url) {
+    const key = `interviewguard:${url}`;
+    try {
+        const response = await apiFetch(url);
+        const result = await response.json();
+        if (response.ok) sessionStorage.setItem(key, JSON.stringify(result));
+        return { ok: response.ok, status: response.status, result };
+    } catch (error) {
+        const remembered = error instanceof TypeError ? sessionStorage.getItem(key) : null;
+        if (!remembered) throw error;
+        return { ok: true, status: 200, result: JSON.parse(remembered) };
+    }
+}
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('service-worker.js')
+        .catch(error => console.error('Error registering service worker:', error));
+}
+
+// Load the interview session named by the join link. Without a link the
+// interviewer enters the candidate's name for an unscheduled interview.
+async function loadInterviewSession() {
+    const token = new URLSearchParams(window.location.search).get('session');
+    if (!token) return;
+    
+    document.getElementById('candidate-name-field').style.display = 'none';
+    try {
+        const { ok, status, result } = await fetchRemembered(`${API_BASE_URL}/sessions/join/${encodeURIComponent(token)}`);
+        
+        if (!ok) {
+            throw new Error(status === 404
+                ? 'This join link is invalid, has been replaced or belongs to another interviewer.'
+                : `This interview cannot be started: ${result.error}.`);
+        }
+        
+        interviewSession = result;
+        const scheduledAt = new Date(result.scheduledAt).toLocaleString();
+        document.getElementById('session-candidate-name').textContent = result.candidateName;
+        document.getElementById('session-meta').textContent = [result.position, result.candidateEmail, `Scheduled ${scheduledAt}`]
+            .filter(Boolean)
+            .join(' \u00b7 ');
+        document.getElementById('session-info').style.display = 'block';
+        logEvent(`Loaded interview session for ${result.candidateName}.`, 'info');
+    } catch (error) {
+        document.getElementById('session-error').textContent = error.message;
+        document.getElementById('session-error').style.display = 'block';
+        document.getElementById('start-btn').disabled = true;
+        logEvent('Error loading interview session: ' + error.message, 'error');
+    }
+}
+
+// Fill the policy selector. Scheduled interviews run with the policy chosen
+// when they were scheduled; otherwise the interviewer picks one.
+async function loadPolicyChoices() {
+    const select = document.getElementById('policy-select');
+    try {
+        const { ok, result } = await fetchRemembered(`${API_BASE_URL}/policies`);
+        if (!ok) throw new Error(result.error || 'Failed to load detection policies');
+        
+        policyChoices = result;
+        select.innerHTML = result.policies.map(policy => `
+            <option value="${escapeHtml(policy.id)}">${escapeHtml(policy.name)}</option>
+        `).join('');
+        select.value = interviewSession && interviewSession.policy ? interviewSession.policy.id : result.defaultPolicyId;
+        select.disabled = Boolean(interviewSession);
+        updateScreenToggle();
+    } catch (error) {
+        console.error('Error loading detection policies:', error);
+        logEvent('Error loading detection policies: ' + error.message, 'error');
+    }
+}
+
+// The policy selected for the interview, as listed by loadPolicyChoices
+function selectedPolicyChoice() {
+    const policyId = document.getElementById('policy-select').value;
+    return policyChoices ? policyChoices.policies.find(policy => policy.id === policyId) || null : null;
+}
+
+// Screen recording is on by default when the selected policy asks for it
+function updateScreenToggle() {
+    const choice = selectedPolicyChoice();
+    document.getElementById('screen-toggle').checked = Boolean(choice && choice.settings.screen.record);
+}
+
+// Fetch the current settings of the selected policy when the interview
+// starts, so changes made since the page loaded are picked up
+async function loadDetectionPolicy() {
+    const policyId = document.getElementById('policy-select').value ||
+        (policyChoices ? policyChoices.defaultPolicyId : null);
+    if (!policyId) throw new Error('no detection policy is available');
+    
+    const { ok, result } = await fetchRemembered(`${API_BASE_URL}/policies/${encodeURIComponent(policyId)}`);
+    if (!ok) throw new Error(result.error || 'Failed to load detection policy');
+    
+    detectionPolicy = result;
+    logEvent(`Detection policy: ${detectionPolicy.name}.`, 'info');
+}
+
+// Integrity score of the interview so far, computed with the shared scoring
+// rules (scoring.js) and the policy's deductions, as the server will
+function currentIntegrityScore() {
+    return Scoring.calculateIntegrityScore(Incidents.countIncidents(incidents), {
+        deductions: detectionPolicy ? detectionPolicy.settings.deductions : undefined
+    });
+}
+
+// Start an incident of the given type under key, or raise the peak
+// confidence of the one already in progress. Returns true if a new incident
+// was started.
+function openIncident(key, type, startedAt, { confidence = null, label = null } = {}) {
+    const current = openIncidents[key];
+    if (current) {
+        if (confidence !== null && (current.peakConfidence === null || confidence > current.peakConfidence)) {
+            current.peakConfidence = confidence;
+        }
+        return false;
+    }
+    
+    const incident = {
+        type,
+        startedAt: startedAt.toISOString(),
+        endedAt: null,
+        duration: null,
+        peakConfidence: confidence,
+        // Seconds into the recording, so reviewers can jump to the incident
+        recordingOffset: recordingStartTime ? Math.max(0, (startedAt - recordingStartTime) / 1000) : null,
+        label
+    };
+    incidents.push(incident);
+    openIncidents[key] = incident;
+    updateStatusIndicators();
+    return true;
+}
+
+// End the incident in progress under key. Returns it, or null if there was none.
+function closeIncident(key, endedAt = new Date()) {
+    const incident = openIncidents[key];
+    if (!incident) return null;
+    
+    delete openIncidents[key];
+    incident.endedAt = endedAt.toISOString();
+    incident.duration = (endedAt - new Date(incident.startedAt)) / 1000;
+    return incident;
+}
+
+function closeAllIncidents(endedAt = new Date()) {
+    Object.keys(openIncidents).forEach(key => closeIncident(key, endedAt));
+}
+
+// Name of the candidate being interviewed
+function getCandidateName() {
+    if (interviewSession) {
+        return interviewSession.candidateName;
+    }
+    return document.getElementById('candidate-name-input').value.trim();
+}
+
+// Load ML models. BlazeFace and COCO-SSD are loaded by the detection worker.
 async function loadModels() {
-    logEvent('Loading face detection model...', 'info');
-    // Use Blazeface for better performance
-    faceMesh = await window.blazeface.load();
-    logEvent('Face detection model loaded.', 'success');
+    startDetectionWorker();
     
-    logEvent('Loading object detection model...', 'info');
-    objectDetectionModel = await window.cocoSsd.load();
-    logEvent('Object detection model loaded.', 'success');
+    await loadDetectionModel('face');
+    const { backend } = await loadDetectionModel('objects');
+    inference.backend = backend;
+    logEvent(`Detection running on the ${backend} backend.`, 'info');
+    
+    await loadIdentityModels();
+}
+
+async function loadDetectionModel(name) {
+    const label = INFERENCE_LABELS[name].toLowerCase();
+    logEvent(`Loading ${label} model...`, 'info');
+    try {
+        const reply = await workerRequest({ type: 'load', model: name });
+        logEvent(`${INFERENCE_LABELS[name]} model loaded.`, 'success');
+        return reply;
+    } catch (error) {
+        throw new Error(`The ${label} model could not be loaded: ${error.message}`);
+    }
+}
+
+function startDetectionWorker() {
+    inference.worker = new Worker('detection-worker.js');
+    inference.worker.onmessage = function(event) {
+        const { id, error, ...reply } = event.data;
+        const request = inference.requests.get(id);
+        if (!request) return;
+        inference.requests.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(reply);
+        }
+    };
+    // The worker script itself failed: nothing waiting for it will be answered
+    inference.worker.onerror = function(event) {
+        const error = new Error(event.message || 'The detection worker could not be started');
+        inference.requests.forEach(request => request.reject(error));
+        inference.requests.clear();
+    };
+}
+
+// Send a request to the detection worker; resolves with its reply. Objects
+// in transfer (video frames) are handed over to the worker.
+function workerRequest(message, transfer = []) {
+    const id = inference.nextRequestId++;
+    return new Promise((resolve, reject) => {
+        inference.requests.set(id, { resolve, reject });
+        inference.worker.postMessage({ id, ...message }, transfer);
+    });
 }
 
 // Start the interview process
 async function startInterview() {
+    if (!getCandidateName()) {
+        showNotification('Enter the candidate name before starting.', 'error');
+        document.getElementById('candidate-name-input').focus();
+        return;
+    }
+    
+    // Screen sharing and fullscreen can only be requested while handling
+    // the click, so before anything is awaited
+    const choice = selectedPolicyChoice();
+    const screenCapture = document.getElementById('screen-toggle').checked ? requestScreenCapture() : null;
+    if (choice && choice.settings.browser.requireFullscreen) {
+        enterFullscreen();
+    }
+    
+    try {
+        await loadDetectionPolicy();
+    } catch (error) {
+        logEvent('Error loading detection policy: ' + error.message, 'error');
+        showNotification('The detection policy could not be loaded. Please try again.', 'error');
+        if (screenCapture) screenCapture.then(stopStream, () => {});
+        return;
+    }
+    
+    let screenStream = null;
+    if (screenCapture) {
+        try {
+            screenStream = await screenCapture;
+        } catch (error) {
+            logEvent('Screen sharing is required for this interview: ' + error.message, 'error');
+            showNotification('Please share your entire screen to start the interview.', 'error');
+            return;
+        }
+    }
+    
     try {
         logEvent('Starting interview process...', 'info');
         showNotification('Starting interview process...');
         
-        // Request camera access
-        const stream = await navigator.mediaDevices.getUserMedia({ 
-            video: { width: 1280, height: 720, facingMode: 'user' } 
-        });
+        // Request camera and microphone access
+        const stream = await getCameraAndMicrophone();
         
         videoElement.srcObject = stream;
         
@@ -120,12 +461,34 @@ async function startInterview() {
             isInterviewRunning = true;
             startTime = new Date();
             lastFaceDetectedTime = new Date();
+            incidents = [];
+            openIncidents = {};
+            trackedObjects = [];
+            screenUploads = [];
+            updateStatusIndicators();
+            
+            // Lock the candidate name and mark the scheduled session as started
+            document.getElementById('candidate-name-input').disabled = true;
+            document.getElementById('id-photo-input').disabled = true;
+            document.getElementById('policy-select').disabled = true;
+            document.getElementById('screen-toggle').disabled = true;
+            if (interviewSession) {
+                apiFetch(`${API_BASE_URL}/sessions/${interviewSession.id}/start`, { method: 'POST' })
+                    .catch(error => console.error('Error marking session as started:', error));
+            }
+            
+            // Let proctors follow the interview live
+            startLiveSession();
             
             // Start timer
             startTimer();
             
-            // Start video recording
+            // Start video recording, and the screen recording if the screen is shared
             startVideoRecording(stream);
+            document.getElementById('screen-recording-state').textContent = 'Off';
+            if (screenStream) {
+                startScreenRecording(screenStream);
+            }
             
             // Update status
             document.getElementById('focus-status').textContent = 'Monitoring';
@@ -137,16 +500,36 @@ async function startInterview() {
             showNotification('Interview started. Monitoring active.');
             
             // Start detection processes
-            startFaceDetection();
-            startObjectDetection();
+            startInference();
+            startIdentityVerification();
+            startAudioMonitoring(stream);
+            startBrowserMonitoring();
         };
     } catch (error) {
+        stopStream(screenStream);
         logEvent('Error accessing camera: ' + error.message, 'error');
         console.error('Error accessing camera:', error);
         showNotification('Camera access denied. Please allow camera permissions.', 'error');
     }
 }
 
+// Camera stream with the microphone when one is available. Browser noise
+// suppression is turned off because it removes the whispering and
+// background voices the audio monitor listens for.
+async function getCameraAndMicrophone() {
+    const video = { width: 1280, height: 720, facingMode: 'user' };
+    try {
+        return await navigator.mediaDevices.getUserMedia({
+            video,
+            audio: { echoCancellation: true, noiseSuppression: false, autoGainControl: false }
+        });
+    } catch (error) {
+        // Without a microphone the interview continues with video only
+        logEvent('Microphone unavailable (' + error.message + '). Recording without audio.', 'warning');
+        return navigator.mediaDevices.getUserMedia({ video });
+    }
+}
+
 // Stop the interview process
 function stopInterview() {
     if (!isInterviewRunning) return;
@@ -162,17 +545,32 @@ function stopInterview() {
     videoElement.srcObject = null;
     
     // Stop detection and timer
-    clearInterval(detectionInterval);
-    clearInterval(objectDetectionInterval);
+    stopInference();
     clearInterval(timerInterval);
+    stopIdentityVerification();
+    stopAudioMonitoring();
+    stopBrowserMonitoring();
+    
+    // Incidents still in progress end with the interview; tracked items
+    // when they were last seen
+    endObjectTracks(trackedObjects);
+    closeAllIncidents();
+    lookingAwayStartTime = null;
+    noFaceStartTime = null;
     
     // Stop video recording
     stopVideoRecording();
+    stopScreenRecording();
+    document.getElementById('screen-share-btn').hidden = true;
     
     // Update UI
     document.getElementById('start-btn').disabled = false;
     document.getElementById('stop-btn').disabled = true;
     document.getElementById('download-btn').disabled = false;
+    document.getElementById('candidate-name-input').disabled = false;
+    document.getElementById('id-photo-input').disabled = false;
+    document.getElementById('policy-select').disabled = Boolean(interviewSession);
+    document.getElementById('screen-toggle').disabled = false;
     
     isInterviewRunning = false;
     
@@ -184,6 +582,8 @@ function stopInterview() {
     
     logEvent('Interview stopped. Ready to generate report.', 'info');
     showNotification('Interview stopped. Report ready for download.');
+    
+    endLiveSession();
 }
 
 // Start the timer for interview duration
@@ -224,14 +624,21 @@ function startVideoRecording(stream) {
             videoBitsPerSecond: 3000000
         });
         
+        // Start streaming chunks to the server as they are recorded
+        videoUpload = startVideoUpload(mediaRecorder.mimeType, { startedAt: recordingStartTime });
+        
         mediaRecorder.ondataavailable = function(event) {
             if (event.data.size > 0) {
                 recordedChunks.push(event.data);
+                queueVideoChunk(videoUpload, event.data);
             }
         };
         
         mediaRecorder.onstop = function() {
             videoBlob = new Blob(recordedChunks, { type: 'video/webm' });
+            if (videoUpload) {
+                videoUpload.duration = (new Date() - recordingStartTime) / 1000;
+            }
             
             // Stop recording timer
             clearInterval(recordingTimerInterval);
@@ -243,6 +650,9 @@ function startVideoRecording(stream) {
             document.getElementById('recording-duration').textContent = '00:00:00';
             
             logEvent('Video recording completed and stored.', 'success');
+            
+            saveVideoRecording(videoUpload, videoBlob);
+            downloadRecordedVideo(videoBlob); // Also download locally for backup
         };
         
         mediaRecorder.start(1000); // Capture chunks every second
@@ -258,83 +668,361 @@ function startVideoRecording(stream) {
         document.getElementById('recording-state').textContent = 'Not Supported';
     }
 }
-// Stop video recording and save it
+// Stop video recording; the recording is saved once the recorder has flushed its last chunk
 function stopVideoRecording() {
     if (mediaRecorder && mediaRecorder.state !== 'inactive') {
         mediaRecorder.stop();
-        
-        // Save the recording after a short delay
-        setTimeout(() => {
-            if (videoBlob) {
-                saveVideoRecording();
-                downloadRecordedVideo(); // Also download locally for backup
+    }
+}
+
+// Ask the candidate to share their entire screen. Must be called while
+// handling a click. Rejects if a window or tab is shared instead.
+async function requestScreenCapture() {
+    if (!navigator.mediaDevices.getDisplayMedia) {
+        throw new Error('screen capture is not supported by this browser');
+    }
+    
+    browserMonitor.choosingScreen = true;
+    try {
+        const stream = await navigator.mediaDevices.getDisplayMedia({
+            video: { displaySurface: 'monitor', frameRate: 15 },
+            audio: false,
+            monitorTypeSurfaces: 'include',
+            selfBrowserSurface: 'exclude',
+            surfaceSwitching: 'exclude'
+        });
+        // Browsers that do not report the surface are trusted to share what was asked for
+        const { displaySurface } = stream.getVideoTracks()[0].getSettings();
+        if (displaySurface && displaySurface !== 'monitor') {
+            stopStream(stream);
+            throw new Error('the entire screen must be shared, not a window or tab');
+        }
+        return stream;
+    } finally {
+        browserMonitor.choosingScreen = false;
+    }
+}
+
+function stopStream(stream) {
+    if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+    }
+}
+
+// Record the shared screen next to the webcam. Chunks are uploaded like the
+// webcam's; the start time lets reviewers play both recordings in sync.
+function startScreenRecording(stream) {
+    const recording = { stream, chunks: [], startedAt: new Date(), recorder: null, upload: null };
+    try {
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+        recording.recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 2500000 });
+    } catch (error) {
+        console.error('Error starting screen recording:', error);
+        logEvent('Screen recording not supported in this browser: ' + error.message, 'warning');
+        stopStream(stream);
+        return;
+    }
+    
+    recording.upload = startVideoUpload(recording.recorder.mimeType, { kind: 'screen', startedAt: recording.startedAt });
+    screenUploads.push(recording.upload);
+    
+    recording.recorder.ondataavailable = function(event) {
+        if (event.data.size > 0) {
+            recording.chunks.push(event.data);
+            queueVideoChunk(recording.upload, event.data);
+        }
+    };
+    recording.recorder.onstop = function() {
+        const blob = new Blob(recording.chunks, { type: 'video/webm' });
+        recording.upload.duration = (new Date() - recording.startedAt) / 1000;
+        saveVideoRecording(recording.upload, blob);
+        downloadRecordedVideo(blob, 'screen-recording');
+    };
+    // Sharing can be stopped from the browser's own controls at any time
+    stream.getVideoTracks()[0].addEventListener('ended', () => handleScreenShareStopped(recording));
+    
+    recording.recorder.start(1000);
+    screenRecording = recording;
+    document.getElementById('screen-recording-state').textContent = 'Recording';
+    logEvent('Screen recording started.', 'info');
+}
+
+function stopScreenRecording(recording = screenRecording) {
+    if (!recording) return;
+    if (recording.recorder.state !== 'inactive') {
+        recording.recorder.stop();
+    }
+    stopStream(recording.stream);
+    if (screenRecording === recording) {
+        screenRecording = null;
+        document.getElementById('screen-recording-state').textContent = 'Completed';
+        document.getElementById('screen-share-btn').hidden = true;
+    }
+}
+
+// The candidate stopped sharing their screen: an incident until sharing is
+// resumed, or the end of the interview if the policy says so
+function handleScreenShareStopped(recording) {
+    if (!isInterviewRunning || screenRecording !== recording) return;
+    stopScreenRecording(recording);
+    document.getElementById('screen-recording-state').textContent = 'Stopped';
+    
+    openIncident('screenShareStopped', 'screenShareStopped', new Date());
+    logEvent('Candidate stopped sharing their screen!', 'error');
+    updateBrowserStatus();
+    
+    if (detectionPolicy.settings.screen.endOnStop) {
+        logEvent('Interview ended because screen sharing stopped.', 'error');
+        stopInterview();
+        showNotification('Screen sharing stopped. The interview has ended.', 'error');
+    } else {
+        document.getElementById('screen-share-btn').hidden = false;
+        showNotification('Screen sharing stopped. Please share your entire screen again.', 'error');
+    }
+}
+
+// Share the screen again after sharing stopped; recorded as a new screen recording
+async function resumeScreenSharing() {
+    try {
+        const stream = await requestScreenCapture();
+        if (!isInterviewRunning) {
+            stopStream(stream);
+            return;
+        }
+        document.getElementById('screen-share-btn').hidden = true;
+        closeIncident('screenShareStopped');
+        logEvent('Screen sharing resumed.', 'info');
+        startScreenRecording(stream);
+        updateBrowserStatus();
+        checkAway();
+    } catch (error) {
+        logEvent('Screen sharing was not resumed: ' + error.message, 'warning');
+        checkAway();
+    }
+}
+
+// Create a chunked upload session for a recording: the webcam, or the
+// candidate's screen (kind 'screen'), started at startedAt
+function startVideoUpload(mimeType, { kind = 'webcam', startedAt = new Date() } = {}) {
+    const upload = {
+        id: null,
+        mimeType: mimeType,
+        kind: kind,
+        // Used in messages, e.g. "Screen recording saved to server."
+        label: kind === 'screen' ? 'Screen recording' : 'Video recording',
+        startedAt: startedAt,
+        chunks: [],
+        nextIndex: 0,
+        totalChunks: 0,
+        duration: null,
+        uploading: false,
+        failures: 0,
+        // Set when the server rejects the upload for good; the queue then stops
+        error: null,
+        drainCallbacks: []
+    };
+    processUploadQueue(upload);
+    return upload;
+}
+
+// Add a recorded chunk to the upload queue
+function queueVideoChunk(upload, blob) {
+    if (!upload || upload.error) return;
+    
+    upload.chunks.push({ index: upload.totalChunks, blob: blob });
+    upload.totalChunks++;
+    processUploadQueue(upload);
+}
+
+// Upload queued chunks in order, retrying with backoff until the server has them all.
+// Chunks stay queued until acknowledged, so a dropped connection only delays the upload.
+// A request the server rejects for good stops the queue and drops the chunks.
+async function processUploadQueue(upload) {
+    if (!upload || upload.uploading || upload.error) return;
+    upload.uploading = true;
+    
+    while (!upload.id || upload.chunks.length > 0) {
+        try {
+            if (!upload.id) {
+                await createVideoUpload(upload);
+            } else {
+                await uploadVideoChunk(upload, upload.chunks[0]);
             }
-        }, 1000);
+            upload.failures = 0;
+        } catch (error) {
+            if (isFatalUploadError(error)) {
+                console.error('Video upload rejected:', error);
+                upload.error = error;
+                upload.chunks = [];
+                logEvent(`${upload.label} cannot be saved to the server: ${error.message}`, 'error');
+                showNotification(`${upload.label} upload failed. It will only be saved locally.`, 'error');
+                break;
+            }
+            
+            const delay = UPLOAD_RETRY_DELAYS[Math.min(upload.failures, UPLOAD_RETRY_DELAYS.length - 1)];
+            if (upload.failures === 0 && error.status === 507) {
+                // Out of storage: keep retrying in case space is freed, the local copy is still downloaded
+                logEvent(`${upload.label} cannot be saved to the server: ${error.message}`, 'error');
+                showNotification('Server storage is full. The recording will only be saved locally.', 'error');
+            } else if (upload.failures === 0) {
+                logEvent(`${upload.label} upload interrupted. Retrying...`, 'warning');
+            }
+            console.error('Error uploading video chunk:', error);
+            upload.failures++;
+            await new Promise(resolve => setTimeout(resolve, delay));
+            await resyncVideoUpload(upload);
+        }
     }
+    
+    upload.uploading = false;
+    upload.drainCallbacks.splice(0).forEach(callback => callback());
 }
 
-// Save video recording to backend
-async function saveVideoRecording() {
-    if (!videoBlob) return;
+async function createVideoUpload(upload) {
+    const response = await apiFetch(`${API_BASE_URL}/videos/uploads`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            mimeType: upload.mimeType,
+            kind: upload.kind,
+            startedAt: upload.startedAt.toISOString(),
+            sessionId: interviewSession ? interviewSession.id : undefined
+        })
+    });
+    const result = await response.json();
+    
+    if (!response.ok) {
+        throw uploadError(response, result.error || 'Failed to start video upload');
+    }
+    
+    upload.id = result.uploadId;
+    upload.nextIndex = result.nextIndex;
+}
+
+// Chunks are sent with their SHA-256 so the server can check each one, and
+// the whole recording never has to be read into memory to be verified
+async function uploadVideoChunk(upload, chunk) {
+    if (!chunk.checksum) {
+        chunk.checksum = await computeChecksum(chunk.blob);
+    }
+    const formData = new FormData();
+    formData.append('checksum', chunk.checksum);
+    formData.append('chunk', chunk.blob, `chunk-${chunk.index}`);
+    
+    const response = await apiFetch(`${API_BASE_URL}/videos/uploads/${upload.id}/chunks/${chunk.index}`, {
+        method: 'PUT',
+        body: formData
+    });
+    const result = await response.json();
+    
+    if (!response.ok) {
+        throw uploadError(response, result.error || 'Failed to upload video chunk');
+    }
+    
+    upload.nextIndex = result.nextIndex;
+    upload.chunks.shift();
+}
+
+// Client errors that retrying cannot fix. Timeouts (408) and rate limiting
+// (429) are retried, as are 409, which a resync with the server resolves,
+// and 422, a chunk damaged on the way.
+function isFatalUploadError(error) {
+    return error.status >= 400 && error.status < 500 && ![408, 409, 422, 429].includes(error.status);
+}
+
+// Error carrying the HTTP status of a failed upload request
+function uploadError(response, message) {
+    const error = new Error(message);
+    error.status = response.status;
+    return error;
+}
+
+// Ask the server which chunks it already has and drop them from the queue
+async function resyncVideoUpload(upload) {
+    if (!upload.id) return;
     
     try {
-        showNotification('Saving video recording...', 'info');
+        const response = await apiFetch(`${API_BASE_URL}/videos/uploads/${upload.id}`);
+        if (!response.ok) return;
         
-        // Convert blob to base64 for sending to server
-        const reader = new FileReader();
+        const result = await response.json();
+        upload.nextIndex = result.nextIndex;
+        while (upload.chunks.length > 0 && upload.chunks[0].index < result.nextIndex) {
+            upload.chunks.shift();
+        }
+    } catch (error) {
+        // Still offline; the next attempt will try again
+    }
+}
+
+// Resolve once every queued chunk has been acknowledged by the server, or
+// the upload has failed (upload.error)
+function waitForUploadQueue(upload) {
+    return new Promise(resolve => {
+        if (upload.error || (!upload.uploading && upload.chunks.length === 0 && upload.id)) {
+            resolve();
+        } else {
+            upload.drainCallbacks.push(resolve);
+            processUploadQueue(upload);
+        }
+    });
+}
+
+// Compute the SHA-256 checksum of a blob as a hex string
+async function computeChecksum(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+// Finish the chunked upload once all chunks have reached the server
+async function saveVideoRecording(upload, blob) {
+    if (!blob || !upload) return;
+    
+    try {
+        showNotification('Saving video recording...', 'info');
         
-        reader.onloadend = async function() {
-            try {
-                const base64data = reader.result.split(',')[1]; // Remove data URL prefix
-                
-                const response = await fetch(`${API_BASE_URL}/videos`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        videoData: base64data,
-                        reportId: generateId()
-                    })
-                });
-                
-                const result = await response.json();
-                
-                if (response.ok) {
-                    logEvent('Video recording saved to server.', 'success');
-                    showNotification('Video saved successfully!', 'success');
-                } else {
-                    logEvent('Failed to save video to server: ' + result.error, 'error');
-                    showNotification('Video save failed, but downloaded locally', 'warning');
-                }
-            } catch (error) {
-                console.error('Error saving video:', error);
-                logEvent('Error saving video to server.', 'error');
-                showNotification('Video save failed, but downloaded locally', 'warning');
-            }
-        };
+        await waitForUploadQueue(upload);
+        // The failure has already been reported by the upload queue
+        if (upload.error) return;
         
-        reader.onerror = function() {
-            logEvent('Error reading video file.', 'error');
-            showNotification('Video processing error', 'error');
-        };
+        const response = await apiFetch(`${API_BASE_URL}/videos/uploads/${upload.id}/complete`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                totalChunks: upload.totalChunks,
+                duration: upload.duration
+            })
+        });
         
-        reader.readAsDataURL(videoBlob);
+        const result = await response.json();
         
+        if (response.ok) {
+            logEvent(`${upload.label} saved to server.`, 'success');
+            showNotification('Video saved successfully!', 'success');
+        } else {
+            logEvent(`Failed to save ${upload.label.toLowerCase()} to server: ${result.error}`, 'error');
+            showNotification('Video save failed, but downloaded locally', 'warning');
+        }
     } catch (error) {
-        console.error('Error processing video:', error);
-        logEvent('Error processing video recording.', 'error');
-        showNotification('Video processing error', 'error');
+        console.error('Error saving video:', error);
+        logEvent(`Error saving ${upload.label.toLowerCase()} to server.`, 'error');
+        showNotification('Video save failed, but downloaded locally', 'warning');
     }
 }
-// Download recorded video
-function downloadRecordedVideo() {
-    if (!videoBlob) return;
+// Download a recorded video, e.g. interview-recording-2025-01-31.webm
+function downloadRecordedVideo(blob, name = 'interview-recording') {
+    if (!blob) return;
     
-    const url = URL.createObjectURL(videoBlob);
+    const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `interview-recording-${new Date().toISOString().slice(0, 10)}.webm`;
+    a.download = `${name}-${new Date().toISOString().slice(0, 10)}.webm`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -359,19 +1047,132 @@ function startRecordingTimer() {
     }, 1000);
 }
 
+// Announce the interview to proctors and start pushing updates every second.
+// Events logged before the server answers are queued and sent once it does.
+function startLiveSession() {
+    const session = {
+        id: null,
+        pendingEvents: [],
+        status: { focus: 'focused', objects: [] },
+        sending: false,
+        inFlight: 0,
+        interval: setInterval(() => sendLiveUpdate(), LIVE_UPDATE_INTERVAL)
+    };
+    liveSession = session;
+
+    apiFetch(`${API_BASE_URL}/live/sessions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ candidateName: getCandidateName(), policyId: detectionPolicy.id })
+    })
+        .then(async response => {
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to start live session');
+            session.id = result.session.id;
+            // The interview may have been stopped while waiting
+            if (liveSession !== session) {
+                endLiveSession(session);
+            }
+        })
+        .catch(error => {
+            console.error('Live observer unavailable:', error);
+            stopLiveUpdates(session);
+        });
+}
+
+// Remember the latest detection status for the next live update
+function setLiveStatus(status) {
+    if (liveSession) {
+        Object.assign(liveSession.status, status);
+    }
+}
+
+// Current counters and status, plus up to LIVE_MAX_EVENTS_PER_UPDATE queued
+// events that are not already being sent
+function liveUpdateBody(session) {
+    return {
+        events: session.pendingEvents.slice(session.inFlight, session.inFlight + LIVE_MAX_EVENTS_PER_UPDATE),
+        ...Incidents.countIncidents(incidents),
+        status: { ...session.status }
+    };
+}
+
+// Push queued events and the current counters. Sent even when nothing
+// changed so the server knows the interview is still connected.
+async function sendLiveUpdate(session = liveSession) {
+    if (!session || !session.id || session.sending) return;
+
+    const body = liveUpdateBody(session);
+    session.sending = true;
+    session.inFlight = body.events.length;
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/live/sessions/${session.id}/events`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (response.ok) {
+            session.pendingEvents.splice(0, body.events.length);
+        } else if (response.status === 404 || response.status === 409) {
+            // The server no longer knows this session (e.g. it was restarted)
+            console.warn('Live session closed by the server');
+            stopLiveUpdates(session);
+        }
+    } catch (error) {
+        // Keep the events queued and try again on the next tick
+        console.warn('Live update failed:', error.message);
+    } finally {
+        session.sending = false;
+        session.inFlight = 0;
+    }
+}
+
+function stopLiveUpdates(session) {
+    clearInterval(session.interval);
+    if (liveSession === session) {
+        liveSession = null;
+    }
+}
+
+// Send the last events and tell proctors the interview has finished
+async function endLiveSession(session = liveSession) {
+    if (!session) return;
+    stopLiveUpdates(session);
+    if (!session.id) return;
+
+    try {
+        await apiFetch(`${API_BASE_URL}/live/sessions/${session.id}/end`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(liveUpdateBody(session))
+        });
+    } catch (error) {
+        console.warn('Failed to end live session:', error.message);
+    }
+}
+
 // Update all status indicators
 function updateStatusIndicators() {
-    document.getElementById('look-away-count').textContent = lookAwayCount;
-    document.getElementById('no-face-count').textContent = noFaceCount;
-    document.getElementById('multiple-faces-count').textContent = multipleFacesCount;
-    document.getElementById('phone-count').textContent = phoneCount;
-    document.getElementById('book-count').textContent = bookCount;
-    document.getElementById('device-count').textContent = deviceCount;
-    
-    // Calculate integrity score (100 - deductions)
-    const deductions = (lookAwayCount * 2) + (noFaceCount * 5) + (multipleFacesCount * 10) +
-                      (phoneCount * 10) + (bookCount * 8) + (deviceCount * 7);
-    const integrityScore = Math.max(0, 100 - deductions);
+    const { focusIssues, prohibitedItems, audioIssues, browserIssues } = Incidents.countIncidents(incidents);
+    document.getElementById('look-away-count').textContent = focusIssues.lookAwayCount;
+    document.getElementById('no-face-count').textContent = focusIssues.noFaceCount;
+    document.getElementById('multiple-faces-count').textContent = focusIssues.multipleFacesCount;
+    document.getElementById('identity-mismatch-count').textContent = focusIssues.identityMismatchCount;
+    document.getElementById('phone-count').textContent = prohibitedItems.phonesDetected;
+    document.getElementById('book-count').textContent = prohibitedItems.booksDetected;
+    document.getElementById('device-count').textContent = prohibitedItems.devicesDetected;
+    document.getElementById('speech-count').textContent = audioIssues.speechCount;
+    document.getElementById('multiple-voices-count').textContent = audioIssues.multipleVoicesCount;
+    document.getElementById('whispering-count').textContent = audioIssues.whisperingCount;
+    document.getElementById('tab-switch-count').textContent = browserIssues.tabSwitchCount;
+    document.getElementById('fullscreen-exit-count').textContent = browserIssues.fullscreenExitCount;
+    document.getElementById('clipboard-count').textContent = browserIssues.clipboardCount;
+    document.getElementById('window-resize-count').textContent = browserIssues.windowResizeCount;
+    document.getElementById('second-display-count').textContent = browserIssues.secondDisplayCount;
+    document.getElementById('screen-share-stopped-count').textContent = browserIssues.screenShareStoppedCount;
+    
+    // Calculate integrity score (100 - the policy's deductions)
+    const integrityScore = currentIntegrityScore();
     
     document.getElementById('score').textContent = integrityScore;
     updateScoreDisplay(integrityScore);
@@ -383,8 +1184,9 @@ function updateScoreDisplay(score) {
     const scoreText = document.querySelector('.score-text');
     const scoreLabel = document.querySelector('.score-label');
     
-    // Calculate stroke dashoffset (339.3 is circumference of circle with radius 54)
-    const offset = 339.3 - (score / 100 * 339.3);
+    // Calculate stroke dashoffset from the circle's circumference (its stroke-dasharray)
+    const circumference = parseFloat(progressCircle.getAttribute('stroke-dasharray')) || 339.3;
+    const offset = circumference - (score / 100 * circumference);
     progressCircle.style.strokeDashoffset = offset;
     
     // Update score text with animation
@@ -431,6 +1233,9 @@ function logEvent(message, type = 'info') {
     };
     
     eventLog.push(logEntry);
+    if (liveSession) {
+        liveSession.pendingEvents.push(logEntry);
+    }
     
     // Update log count
     document.getElementById('log-count').textContent = `${eventLog.length} events`;
@@ -445,15 +1250,17 @@ function logEvent(message, type = 'info') {
     if (type === 'error') iconClass = 'fas fa-exclamation-circle';
     if (type === 'success') iconClass = 'fas fa-check-circle';
     
+    // Messages can contain names entered by users, so they are set as text
     logElement.innerHTML = `
         <div class="log-icon">
             <i class="${iconClass}"></i>
         </div>
         <div class="log-content">
-            <div class="log-message">${message}</div>
+            <div class="log-message"></div>
             <div class="log-time">${timestamp}</div>
         </div>
     `;
+    logElement.querySelector('.log-message').textContent = message;
     
     // Add to log container
     const logContainer = document.getElementById('event-log');
@@ -491,29 +1298,142 @@ function showNotification(message, type = 'info') {
     }, 5000);
 }
 
-// Start face detection - FASTER version (200ms)
-function startFaceDetection() {
-    logEvent('Face detection initialized. Starting monitoring...', 'info');
-    
-    // Run face detection every 200ms for better responsiveness (was 300ms)
-    detectionInterval = setInterval(async () => {
-        if (!isInterviewRunning) return;
-        
-        try {
-            const faces = await faceMesh.estimateFaces(videoElement, false);
-            
-            // Clear canvas
-            canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
-            
-            // Draw video frame
-            canvasCtx.drawImage(videoElement, 0, 0, canvasElement.width, canvasElement.height);
-            
-            // Process detection results
-            processFaceDetectionResults(faces);
-        } catch (error) {
-            console.error('Error in face detection:', error);
-        }
-    }, 200); // Changed from 300 to 200 ms
+// Start face and object detection. Each runs on video frames at most as
+// often as the policy's interval, slower when inference takes longer.
+function startInference() {
+    logEvent('Face detection initialized. Starting monitoring...', 'info');
+    logEvent('Object detection initialized. Monitoring for prohibited items...', 'info');
+    
+    const startedAt = performance.now();
+    const schedule = (intervalMs, handleResult) => ({
+        minIntervalMs: intervalMs,
+        intervalMs,
+        handleResult,
+        busy: false,
+        lastRunAt: -Infinity,
+        latencyMs: null,
+        latencies: [],
+        skippedFrames: 0,
+        slow: false,
+        startedAt,
+        stoppedAt: null
+    });
+    inference.models = {
+        face: schedule(detectionPolicy.settings.face.intervalMs, handleFaceDetectionResults),
+        objects: schedule(detectionPolicy.settings.objects.intervalMs, processObjectDetectionResults)
+    };
+    requestNextVideoFrame();
+}
+
+function stopInference() {
+    if (inference.frameCallback !== null) {
+        if (videoElement.cancelVideoFrameCallback) {
+            videoElement.cancelVideoFrameCallback(inference.frameCallback);
+        } else {
+            cancelAnimationFrame(inference.frameCallback);
+        }
+        inference.frameCallback = null;
+    }
+    const stoppedAt = performance.now();
+    Object.values(inference.models).forEach(model => {
+        model.stoppedAt = stoppedAt;
+    });
+}
+
+// Wait for the camera's next frame; browsers without video frame callbacks
+// check for a due model on every animation frame instead
+function requestNextVideoFrame() {
+    inference.frameCallback = videoElement.requestVideoFrameCallback
+        ? videoElement.requestVideoFrameCallback(handleVideoFrame)
+        : requestAnimationFrame(handleVideoFrame);
+}
+
+// Run every model that is due on this frame. A model still busy with an
+// earlier frame skips this one.
+function handleVideoFrame() {
+    inference.frameCallback = null;
+    if (!isInterviewRunning) return;
+    
+    const now = performance.now();
+    Object.entries(inference.models).forEach(([name, model]) => {
+        if (now - model.lastRunAt < model.intervalMs) return;
+        if (model.busy) {
+            model.skippedFrames++;
+            return;
+        }
+        runInference(name, model, now);
+    });
+    requestNextVideoFrame();
+}
+
+async function runInference(name, model, now) {
+    model.busy = true;
+    model.lastRunAt = now;
+    try {
+        const frame = await createImageBitmap(videoElement);
+        const { result, latency } = await workerRequest({ type: 'detect', model: name, frame }, [frame]);
+        // Results arriving after the interview stopped are dropped
+        if (!isInterviewRunning || inference.models[name] !== model) return;
+        recordInferenceLatency(name, model, latency);
+        model.handleResult(result);
+    } catch (error) {
+        console.error(`Error in ${INFERENCE_LABELS[name].toLowerCase()}:`, error);
+    } finally {
+        model.busy = false;
+    }
+}
+
+// Adjust a model's interval to its smoothed latency, and warn once when the
+// device cannot keep up with the policy's detection rate
+function recordInferenceLatency(name, model, latency) {
+    model.latencies.push(latency);
+    model.latencyMs = model.latencyMs === null
+        ? latency
+        : model.latencyMs + INFERENCE_LATENCY_SMOOTHING * (latency - model.latencyMs);
+    model.intervalMs = Math.max(model.minIntervalMs, Math.round(model.latencyMs * INFERENCE_LOAD_FACTOR));
+    
+    if (!model.slow && model.intervalMs > model.minIntervalMs * INFERENCE_SLOW_FACTOR) {
+        model.slow = true;
+        logEvent(`${INFERENCE_LABELS[name]} is slow on this device (${Math.round(model.latencyMs)} ms per frame): `
+            + `running at ${(1000 / model.intervalMs).toFixed(1)} fps instead of ${(1000 / model.minIntervalMs).toFixed(1)} fps.`, 'warning');
+    }
+}
+
+// Draw the current frame with the detected faces and act on them
+function handleFaceDetectionResults(faces) {
+    canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+    canvasCtx.drawImage(videoElement, 0, 0, canvasElement.width, canvasElement.height);
+    processFaceDetectionResults(faces);
+}
+
+// Inference rate and latency of each model, saved with the report:
+// { backend, face: { frames, skippedFrames, fps, targetFps, averageLatencyMs, p95LatencyMs, maxLatencyMs }, objects: {...} }
+function detectionPerformanceSummary() {
+    const summary = { backend: inference.backend };
+    Object.entries(inference.models).forEach(([name, model]) => {
+        const latencies = [...model.latencies].sort((a, b) => a - b);
+        const seconds = ((model.stoppedAt || performance.now()) - model.startedAt) / 1000;
+        const round = value => Math.round(value * 10) / 10;
+        summary[name] = {
+            frames: latencies.length,
+            skippedFrames: model.skippedFrames,
+            fps: seconds > 0 ? round(latencies.length / seconds) : 0,
+            targetFps: round(1000 / model.minIntervalMs),
+            averageLatencyMs: latencies.length ? round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+            p95LatencyMs: latencies.length ? round(latencies[Math.ceil(latencies.length * 0.95) - 1]) : null,
+            maxLatencyMs: latencies.length ? round(latencies[latencies.length - 1]) : null
+        };
+    });
+    return summary;
+}
+
+// One line per model for the local text report
+function detectionPerformanceLines(summary) {
+    return Object.entries(INFERENCE_LABELS).filter(([name]) => summary[name]).map(([name, label]) => {
+        const { fps, targetFps, averageLatencyMs, p95LatencyMs, skippedFrames } = summary[name];
+        return `- ${label}: ${fps} of ${targetFps} fps, ${averageLatencyMs === null ? '-' : averageLatencyMs} ms average`
+            + ` / ${p95LatencyMs === null ? '-' : p95LatencyMs} ms p95 latency, ${skippedFrames} frames skipped`;
+    }).join('\n') || '- Not recorded';
 }
 
 // Process face detection results
@@ -525,11 +1445,15 @@ function processFaceDetectionResults(faces) {
     
     // Check if any faces are detected
     if (faces.length === 0) {
-        // No faces detected - reset gaze history
+        // No faces detected - reset gaze history and end face incidents
         gazeDirectionHistory = [];
+        lookingAwayStartTime = null;
+        closeIncident('lookAway', now);
+        endMultipleFacesIncident(now);
         
         focusIndicator.className = 'focus-indicator distracted';
         focusIndicator.innerHTML = '<i class="fas fa-user-times"></i><span>No Face Detected</span>';
+        setLiveStatus({ focus: 'no-face' });
         handleNoFaceDetected(now);
         return;
     }
@@ -540,15 +1464,22 @@ function processFaceDetectionResults(faces) {
     // Reset no face timer if it was running
     if (noFaceStartTime !== null) {
         noFaceStartTime = null;
-        logEvent('Face detected again.', 'success');
+        const incident = closeIncident('noFace', now);
+        logEvent(incident
+            ? `Face detected again after ${Incidents.formatIncidentDuration(incident.duration)}.`
+            : 'Face detected again.', 'success');
     }
     
-    // Check for multiple faces
-    if (faces.length > 1 && multipleFacesCount === 0) {
-        multipleFacesCount++;
-        updateStatusIndicators();
-        logEvent(`Multiple faces detected (${faces.length}). Possible cheating attempt!`, 'error');
-        showNotification('Multiple faces detected! Possible cheating attempt.', 'error');
+    // Multiple faces: one incident for as long as more than one face is in
+    // view, with the confidence of the least certain face as its confidence
+    if (faces.length > 1) {
+        const confidence = Math.min(...faces.map(faceProbability));
+        if (openIncident('multipleFaces', 'multipleFaces', now, { confidence })) {
+            logEvent(`Multiple faces detected (${faces.length}). Possible cheating attempt!`, 'error');
+            showNotification('Multiple faces detected! Possible cheating attempt.', 'error');
+        }
+    } else {
+        endMultipleFacesIncident(now);
     }
     
     // Process each face
@@ -561,6 +1492,11 @@ function processFaceDetectionResults(faces) {
     });
     
     // Update focus indicator
+    if (faces.length > 1) {
+        setLiveStatus({ focus: 'multiple-faces' });
+    } else {
+        setLiveStatus({ focus: isLookingAway ? 'looking-away' : 'focused' });
+    }
     if (isLookingAway) {
         focusIndicator.className = 'focus-indicator distracted';
         focusIndicator.innerHTML = '<i class="fas fa-eye-slash"></i><span>Looking Away</span>';
@@ -570,6 +1506,623 @@ function processFaceDetectionResults(faces) {
     }
 }
 
+// Detection confidence of a BlazeFace face (0-1)
+function faceProbability(face) {
+    return Number(face.probability && face.probability.length ? face.probability[0] : face.probability) || 0;
+}
+
+function endMultipleFacesIncident(now) {
+    const incident = closeIncident('multipleFaces', now);
+    if (incident) {
+        logEvent(`Only one face in view again after ${Incidents.formatIncidentDuration(incident.duration)}.`, 'success');
+    }
+}
+
+// Load the face recognition models used for identity verification.
+// Identity checks are skipped if they cannot be loaded; monitoring still works.
+async function loadIdentityModels() {
+    try {
+        logEvent('Loading face recognition model...', 'info');
+        await Promise.all([
+            faceapi.nets.tinyFaceDetector.loadFromUri(FACE_API_MODEL_URL),
+            faceapi.nets.faceLandmark68TinyNet.loadFromUri(FACE_API_MODEL_URL),
+            faceapi.nets.faceRecognitionNet.loadFromUri(FACE_API_MODEL_URL)
+        ]);
+        identity.modelsLoaded = true;
+        logEvent('Face recognition model loaded.', 'success');
+    } catch (error) {
+        console.error('Error loading face recognition model:', error);
+        logEvent('Face recognition model unavailable. Identity verification is disabled.', 'warning');
+    }
+}
+
+// Compute the face embeddings of every face in an image or video frame
+async function getFaceDescriptors(input) {
+    const faces = await faceapi
+        .detectAllFaces(input, new faceapi.TinyFaceDetectorOptions({ inputSize: 320, scoreThreshold: 0.5 }))
+        .withFaceLandmarks(true)
+        .withFaceDescriptors();
+    return faces.map(face => face.descriptor);
+}
+
+// Element-wise mean of several face embeddings
+function averageDescriptor(descriptors) {
+    const average = new Float32Array(descriptors[0].length);
+    descriptors.forEach(descriptor => {
+        descriptor.forEach((value, i) => {
+            average[i] += value / descriptors.length;
+        });
+    });
+    return average;
+}
+
+function setIdentityStatus(text, level, liveState) {
+    const element = document.getElementById('identity-status');
+    element.textContent = text;
+    element.className = `status-indicator status-${level}`;
+    if (liveState) {
+        setLiveStatus({ identity: liveState });
+    }
+}
+
+// Read the optional ID photo chosen by the interviewer. Only its face
+// embedding is kept; the photo itself never leaves the browser.
+async function handleIdPhotoSelected(event) {
+    const file = event.target.files[0];
+    identity.idPhotoDescriptor = null;
+    if (!file) return;
+    
+    if (!identity.modelsLoaded) {
+        showNotification('Face recognition is unavailable; the ID photo cannot be checked.', 'error');
+        return;
+    }
+    
+    const url = URL.createObjectURL(file);
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        
+        const descriptors = await getFaceDescriptors(image);
+        if (descriptors.length !== 1) {
+            throw new Error(descriptors.length ? 'the photo shows more than one face' : 'no face was found in the photo');
+        }
+        identity.idPhotoDescriptor = descriptors[0];
+        logEvent('ID photo loaded for identity verification.', 'info');
+        showNotification('ID photo loaded. It will be compared with the candidate when the interview starts.');
+    } catch (error) {
+        event.target.value = '';
+        logEvent('ID photo rejected: ' + error.message, 'warning');
+        showNotification('ID photo rejected: ' + error.message, 'error');
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Identity step at the start of the interview: capture a reference face from
+// several frames, compare it with the ID photo if one was given, then
+// re-verify the candidate against the reference every IDENTITY_CHECK_INTERVAL.
+function startIdentityVerification() {
+    if (!identity.modelsLoaded) return;
+    
+    Object.assign(identity, {
+        reference: null,
+        referenceSamples: [],
+        referenceCapturedAt: null,
+        idPhotoMatch: null,
+        idPhotoDistance: null,
+        checks: 0,
+        failedChecks: 0,
+        consecutiveFailures: 0,
+        mismatch: false
+    });
+    setIdentityStatus('Capturing reference face...', 'warning', 'pending');
+    logEvent('Identity verification: look at the camera to capture the reference face.', 'info');
+    
+    identity.interval = setInterval(() => {
+        if (!isInterviewRunning || identity.busy) return;
+        identity.busy = true;
+        (identity.reference ? verifyIdentity() : captureReferenceSample())
+            .catch(error => console.error('Identity verification error:', error))
+            .finally(() => { identity.busy = false; });
+    }, IDENTITY_SAMPLE_INTERVAL);
+}
+
+function stopIdentityVerification() {
+    clearInterval(identity.interval);
+    identity.interval = null;
+}
+
+// Collect one reference sample from a frame showing exactly one face
+async function captureReferenceSample() {
+    const descriptors = await getFaceDescriptors(videoElement);
+    if (descriptors.length !== 1) return;
+    
+    identity.referenceSamples.push(descriptors[0]);
+    if (identity.referenceSamples.length < IDENTITY_REFERENCE_SAMPLES) return;
+    
+    identity.reference = averageDescriptor(identity.referenceSamples);
+    identity.referenceCapturedAt = new Date();
+    identity.lastCheck = Date.now();
+    logEvent('Reference face captured for identity verification.', 'success');
+    setIdentityStatus('Identity verified', 'good', 'verified');
+    
+    if (identity.idPhotoDescriptor) {
+        const distance = faceapi.euclideanDistance(identity.idPhotoDescriptor, identity.reference);
+        identity.idPhotoDistance = distance;
+        identity.idPhotoMatch = distance <= IDENTITY_MATCH_THRESHOLD;
+        if (identity.idPhotoMatch) {
+            logEvent('Candidate matches the ID photo.', 'success');
+        } else {
+            // A one-off check, so the incident ends as soon as it starts
+            recordIdentityMismatch('idPhotoMismatch', 'Identity mismatch: the candidate does not match the ID photo!');
+            closeIncident('idPhotoMismatch');
+        }
+    }
+}
+
+// Compare the current face with the reference. A mismatch is only recorded
+// after IDENTITY_MISMATCH_CONFIRMATIONS failed checks in a row, and once per
+// swap: the next incident needs the reference person to have returned first.
+async function verifyIdentity() {
+    if (Date.now() - identity.lastCheck < IDENTITY_CHECK_INTERVAL) return;
+    identity.lastCheck = Date.now();
+    
+    // Frames without exactly one face are handled by the face detector
+    const descriptors = await getFaceDescriptors(videoElement);
+    if (descriptors.length !== 1) return;
+    
+    const distance = faceapi.euclideanDistance(descriptors[0], identity.reference);
+    identity.checks++;
+    
+    if (distance <= IDENTITY_MATCH_THRESHOLD) {
+        identity.consecutiveFailures = 0;
+        if (identity.mismatch) {
+            identity.mismatch = false;
+            closeIncident('identityMismatch');
+            logEvent('Identity re-verified: the original candidate is back on camera.', 'success');
+            setIdentityStatus('Identity verified', 'good', 'verified');
+        }
+        return;
+    }
+    
+    identity.failedChecks++;
+    identity.consecutiveFailures++;
+    if (identity.consecutiveFailures === IDENTITY_MISMATCH_CONFIRMATIONS && !identity.mismatch) {
+        identity.mismatch = true;
+        recordIdentityMismatch('identityMismatch', 'Identity mismatch: the person on camera does not match the candidate who started the interview!');
+    }
+}
+
+// Start an identity mismatch incident under key. A swap lasts until the
+// reference person is verified again.
+function recordIdentityMismatch(key, message) {
+    openIncident(key, 'identityMismatch', new Date());
+    logEvent(message, 'error');
+    showNotification('Identity mismatch detected!', 'error');
+    setIdentityStatus('Identity mismatch', 'danger', 'mismatch');
+}
+
+// Summary of the identity checks saved with the report
+function identityVerificationSummary() {
+    return {
+        referenceCapturedAt: identity.referenceCapturedAt ? identity.referenceCapturedAt.toISOString() : null,
+        checks: identity.checks || 0,
+        failedChecks: identity.failedChecks || 0,
+        idPhotoMatch: identity.idPhotoMatch === undefined ? null : identity.idPhotoMatch,
+        idPhotoDistance: identity.idPhotoDistance === undefined ? null : identity.idPhotoDistance
+    };
+}
+
+// Analyse the microphone of the interview stream every AUDIO_FRAME_INTERVAL
+// for speech while the candidate should be silent, more than one voice and
+// whispering. Thresholds come from the detection policy's audio settings.
+function startAudioMonitoring(stream) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!stream.getAudioTracks().length || !AudioContextClass) {
+        setAudioStatus('Microphone unavailable', 'danger', 'unavailable');
+        return;
+    }
+    
+    const context = new AudioContextClass();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 2048;
+    analyser.smoothingTimeConstant = 0;
+    context.createMediaStreamSource(stream).connect(analyser);
+    
+    Object.assign(audioMonitor, {
+        context,
+        analyser,
+        timeData: new Float32Array(analyser.fftSize),
+        frequencyData: new Float32Array(analyser.frequencyBinCount),
+        noiseFloorDb: null,
+        speech: { since: null, lastAt: null },
+        whisper: { since: null, lastAt: null },
+        pitches: [],
+        voicesLastAt: null,
+        state: null
+    });
+    setSilenceRequired(detectionPolicy.settings.audio.requireSilence, { log: false });
+    document.getElementById('silence-toggle').disabled = false;
+    
+    audioMonitor.interval = setInterval(() => {
+        if (!isInterviewRunning) return;
+        try {
+            analyseAudioFrame(new Date());
+        } catch (error) {
+            console.error('Audio monitoring error:', error);
+        }
+    }, AUDIO_FRAME_INTERVAL);
+    logEvent('Audio monitoring started.', 'info');
+}
+
+function stopAudioMonitoring() {
+    clearInterval(audioMonitor.interval);
+    audioMonitor.interval = null;
+    if (audioMonitor.context) {
+        // Audio incidents end when the sound was last heard
+        closeIncident('speech', audioMonitor.speech.lastAt || undefined);
+        closeIncident('whispering', audioMonitor.whisper.lastAt || undefined);
+        closeIncident('multipleVoices', audioMonitor.voicesLastAt || undefined);
+        audioMonitor.context.close().catch(() => {});
+        audioMonitor.context = null;
+        audioMonitor.analyser = null;
+    }
+    document.getElementById('silence-toggle').disabled = true;
+    document.getElementById('audio-level-bar').style.width = '0%';
+    document.getElementById('audio-status').textContent = 'Not Active';
+    document.getElementById('audio-status').className = 'status-indicator';
+}
+
+function setAudioStatus(text, level, liveState) {
+    const element = document.getElementById('audio-status');
+    element.textContent = text;
+    element.className = `status-indicator status-${level}`;
+    setLiveStatus({ audio: liveState });
+}
+
+// The interviewer marks the periods in which the candidate should not speak
+// (e.g. a written exercise). Speech only counts as an incident during them.
+function handleSilenceToggle(event) {
+    setSilenceRequired(event.target.checked);
+}
+
+function setSilenceRequired(required, { log = true } = {}) {
+    audioMonitor.silenceRequired = required;
+    document.getElementById('silence-toggle').checked = required;
+    if (!required) {
+        closeIncident('speech', audioMonitor.speech.lastAt || undefined);
+    }
+    if (log) {
+        logEvent(required ? 'Silent period started.' : 'Silent period ended.', 'info');
+    }
+}
+
+function analyseAudioFrame(now) {
+    const { analyser, timeData, frequencyData } = audioMonitor;
+    const sampleRate = audioMonitor.context.sampleRate;
+    const { speechSeconds, whisperSeconds, voiceMarginDb } = detectionPolicy.settings.audio;
+    analyser.getFloatTimeDomainData(timeData);
+    analyser.getFloatFrequencyData(frequencyData);
+    
+    const rms = Math.sqrt(timeData.reduce((sum, sample) => sum + sample * sample, 0) / timeData.length);
+    const levelDb = 20 * Math.log10(rms || 1e-8);
+    if (audioMonitor.noiseFloorDb === null) audioMonitor.noiseFloorDb = levelDb;
+    const aboveNoise = levelDb - audioMonitor.noiseFloorDb;
+    
+    const spectrum = spectrumFeatures(frequencyData, sampleRate, analyser.fftSize);
+    const pitch = aboveNoise > voiceMarginDb / 2 ? estimatePitch(timeData, sampleRate) : null;
+    // Speech is voiced (has a pitch) and mostly in the voice band; whispering
+    // is unvoiced, noise-like and strongest in the higher frequencies
+    const speaking = pitch !== null && aboveNoise > voiceMarginDb && spectrum.voiceShare > 0.5;
+    const whispering = !speaking && pitch === null && aboveNoise > voiceMarginDb / 2 &&
+        spectrum.flatness > 0.25 && spectrum.hissShare > 0.3;
+    
+    // The noise floor drops to quieter frames at once and follows louder
+    // background noise slowly, ignoring speech and whispering
+    if (levelDb < audioMonitor.noiseFloorDb) {
+        audioMonitor.noiseFloorDb = levelDb;
+    } else if (!speaking && !whispering) {
+        audioMonitor.noiseFloorDb += (levelDb - audioMonitor.noiseFloorDb) * 0.02;
+    }
+    document.getElementById('audio-level-bar').style.width = `${Math.min(100, Math.max(0, aboveNoise * 2.5))}%`;
+    
+    trackAudioActivity(audioMonitor.speech, speaking, now);
+    trackAudioActivity(audioMonitor.whisper, whispering, now);
+    
+    // Speech during a silent period
+    const { speech, whisper } = audioMonitor;
+    if (speech.since === null) {
+        closeIncident('speech', speech.lastAt || now);
+    } else if (audioMonitor.silenceRequired && (speech.lastAt - speech.since) / 1000 >= speechSeconds &&
+        openIncident('speech', 'speech', speech.since)) {
+        logEvent('Speech detected during a silent period!', 'error');
+        showNotification('Speech detected while the candidate should be silent!', 'error');
+    }
+    
+    // Whispering
+    if (whisper.since === null) {
+        closeIncident('whispering', whisper.lastAt || now);
+    } else if ((whisper.lastAt - whisper.since) / 1000 >= whisperSeconds &&
+        openIncident('whispering', 'whispering', whisper.since)) {
+        logEvent('Whispering detected!', 'error');
+        showNotification('Whispering detected!', 'error');
+    }
+    
+    // Multiple voices
+    if (speaking) {
+        audioMonitor.pitches.push({ at: now, pitch });
+    }
+    audioMonitor.pitches = audioMonitor.pitches.filter(sample => now - sample.at <= VOICE_WINDOW_MS);
+    const voicesConfidence = multipleVoicesConfidence(audioMonitor.pitches.map(sample => sample.pitch));
+    if (voicesConfidence !== null) {
+        audioMonitor.voicesLastAt = now;
+        if (openIncident('multipleVoices', 'multipleVoices', audioMonitor.pitches[0].at, { confidence: voicesConfidence })) {
+            logEvent('Multiple voices detected!', 'error');
+            showNotification('More than one voice detected!', 'error');
+        }
+    } else if (audioMonitor.voicesLastAt && now - audioMonitor.voicesLastAt > MULTIPLE_VOICES_END_MS) {
+        closeIncident('multipleVoices', audioMonitor.voicesLastAt);
+    }
+    
+    const state = openIncidents.multipleVoices ? 'multiple-voices' :
+        whisper.since !== null ? 'whispering' :
+        speech.since !== null ? 'speaking' : 'quiet';
+    if (state !== audioMonitor.state) {
+        audioMonitor.state = state;
+        const [text, level] = {
+            quiet: ['Quiet', 'good'],
+            speaking: ['Speaking', audioMonitor.silenceRequired ? 'warning' : 'good'],
+            whispering: ['Whispering', 'danger'],
+            'multiple-voices': ['Multiple voices', 'danger']
+        }[state];
+        setAudioStatus(text, level, state);
+    }
+}
+
+// A sound starts with its first frame and ends once it has not been heard
+// for AUDIO_PAUSE_MS, so short pauses between words do not split it
+function trackAudioActivity(activity, active, now) {
+    if (active) {
+        if (activity.since === null) activity.since = now;
+        activity.lastAt = now;
+    } else if (activity.since !== null && now - activity.lastAt > AUDIO_PAUSE_MS) {
+        activity.since = null;
+    }
+}
+
+// Share of the energy in the voice band (300-3400 Hz) and above 2 kHz, and
+// the spectral flatness (near 1 for noise, near 0 for tones) of one frame
+function spectrumFeatures(frequencyData, sampleRate, fftSize) {
+    const binHz = sampleRate / fftSize;
+    let total = 0, voice = 0, hiss = 0, logSum = 0, bins = 0;
+    for (let i = Math.ceil(80 / binHz); i < frequencyData.length && i * binHz <= 8000; i++) {
+        const power = Math.pow(10, frequencyData[i] / 10) + 1e-12;
+        const hz = i * binHz;
+        total += power;
+        if (hz >= 300 && hz <= 3400) voice += power;
+        if (hz >= 2000) hiss += power;
+        logSum += Math.log(power);
+        bins++;
+    }
+    if (!bins) return { voiceShare: 0, hissShare: 0, flatness: 0 };
+    return {
+        voiceShare: voice / total,
+        hissShare: hiss / total,
+        flatness: Math.exp(logSum / bins) / (total / bins)
+    };
+}
+
+// Fundamental frequency of a voiced frame by autocorrelation over the range
+// of human voices (70-400 Hz), or null when the frame has no clear pitch
+function estimatePitch(samples, sampleRate) {
+    const size = Math.min(samples.length, 1024);
+    let energy = 0;
+    for (let i = 0; i < size; i++) energy += samples[i] * samples[i];
+    if (!energy) return null;
+    
+    let bestLag = 0, bestCorrelation = 0;
+    for (let lag = Math.floor(sampleRate / 400); lag <= Math.ceil(sampleRate / 70) && lag < size; lag++) {
+        let correlation = 0;
+        for (let i = 0; i + lag < size; i++) correlation += samples[i] * samples[i + lag];
+        correlation /= energy;
+        if (correlation > bestCorrelation) {
+            bestCorrelation = correlation;
+            bestLag = lag;
+        }
+    }
+    return bestCorrelation > 0.5 ? sampleRate / bestLag : null;
+}
+
+// Confidence (0-1) that recent pitches come from two speakers: sorted, they
+// split into two groups of at least VOICE_MIN_FRAMES with a clear gap between
+// them and medians at least VOICE_PITCH_RATIO apart. One voice's intonation
+// varies smoothly and leaves no such gap. Null when one voice is heard.
+function multipleVoicesConfidence(pitches) {
+    if (pitches.length < 2 * VOICE_MIN_FRAMES) return null;
+    const sorted = [...pitches].sort((a, b) => a - b);
+    
+    let split = -1, widestGap = 1;
+    for (let i = VOICE_MIN_FRAMES; i <= sorted.length - VOICE_MIN_FRAMES; i++) {
+        const gap = sorted[i] / sorted[i - 1];
+        if (gap > widestGap) {
+            widestGap = gap;
+            split = i;
+        }
+    }
+    if (split < 0 || widestGap < 1.15) return null;
+    
+    const median = values => values[Math.floor(values.length / 2)];
+    if (median(sorted.slice(split)) / median(sorted.slice(0, split)) < VOICE_PITCH_RATIO) return null;
+    // Most confident when both voices are heard about equally
+    return Math.round(Math.min(1, 2 * Math.min(split, sorted.length - split) / sorted.length) * 100) / 100;
+}
+
+// Watch the browser for the candidate leaving the interview: switching tabs
+// or windows, leaving a required fullscreen mode, using the clipboard,
+// shrinking the window and connecting a second display
+function startBrowserMonitoring() {
+    browserMonitor.awaySince = null;
+    browserMonitor.state = null;
+    
+    listenWhileMonitoring(document, 'visibilitychange', checkAway);
+    listenWhileMonitoring(window, 'blur', checkAway);
+    listenWhileMonitoring(window, 'focus', checkAway);
+    listenWhileMonitoring(document, 'fullscreenchange', checkFullscreen);
+    ['copy', 'cut', 'paste', 'contextmenu'].forEach(type => listenWhileMonitoring(document, type, handleClipboardEvent));
+    listenWhileMonitoring(window, 'resize', handleWindowResize);
+    // screen.isExtended is only available in browsers with the Window Management API
+    if (window.screen.isExtended !== undefined) {
+        listenWhileMonitoring(window.screen, 'change', checkDisplays);
+        checkDisplays();
+    } else {
+        logEvent('Second display detection is not supported by this browser.', 'warning');
+    }
+    
+    if (detectionPolicy.settings.browser.requireFullscreen && !document.fullscreenEnabled) {
+        logEvent('Fullscreen mode is not supported by this browser.', 'warning');
+    }
+    checkFullscreen();
+    checkWindowSize();
+    checkAway();
+    updateBrowserStatus();
+}
+
+function stopBrowserMonitoring() {
+    browserMonitor.listeners.forEach(([target, type, listener]) => target.removeEventListener(type, listener));
+    browserMonitor.listeners = [];
+    clearTimeout(browserMonitor.awayTimer);
+    clearTimeout(browserMonitor.resizeTimer);
+    browserMonitor.awaySince = null;
+    
+    document.getElementById('fullscreen-btn').hidden = true;
+    if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {});
+    }
+    document.getElementById('browser-status').textContent = 'Not Active';
+    document.getElementById('browser-status').className = 'status-indicator';
+}
+
+// Add an event listener that stopBrowserMonitoring removes
+function listenWhileMonitoring(target, type, listener) {
+    target.addEventListener(type, listener);
+    browserMonitor.listeners.push([target, type, listener]);
+}
+
+// The candidate is away while the page is hidden or the window lost focus.
+// Leaving becomes an incident after the policy's awaySeconds.
+function checkAway() {
+    // The screen sharing picker takes focus while it is open
+    if (browserMonitor.choosingScreen) return;
+    const away = document.hidden || !document.hasFocus();
+    if (away === (browserMonitor.awaySince !== null)) return;
+    
+    if (away) {
+        browserMonitor.awaySince = new Date();
+        browserMonitor.awayTimer = setTimeout(() => {
+            if (browserMonitor.awaySince && openIncident('tabSwitch', 'tabSwitch', browserMonitor.awaySince)) {
+                logEvent('Candidate left the interview tab or window!', 'error');
+            }
+        }, detectionPolicy.settings.browser.awaySeconds * 1000);
+    } else {
+        clearTimeout(browserMonitor.awayTimer);
+        browserMonitor.awaySince = null;
+        const incident = closeIncident('tabSwitch');
+        if (incident) {
+            logEvent(`Candidate returned to the interview after ${Incidents.formatIncidentDuration(incident.duration)} away.`, 'warning');
+            showNotification('Leaving the interview tab was recorded.', 'error');
+        }
+    }
+    updateBrowserStatus();
+}
+
+// Request fullscreen for the interview page. Browsers only allow this in
+// response to a click.
+function enterFullscreen() {
+    if (document.fullscreenElement || !document.fullscreenEnabled) return;
+    document.documentElement.requestFullscreen()
+        .catch(error => logEvent('Could not enter fullscreen: ' + error.message, 'warning'));
+}
+
+// With a policy that requires fullscreen, every period outside it is an incident
+function checkFullscreen() {
+    const outside = detectionPolicy.settings.browser.requireFullscreen && document.fullscreenEnabled &&
+        !document.fullscreenElement;
+    document.getElementById('fullscreen-btn').hidden = !outside;
+    
+    if (outside && openIncident('fullscreenExit', 'fullscreenExit', new Date())) {
+        logEvent('Candidate is not in fullscreen mode!', 'error');
+        showNotification('Please return to fullscreen mode.', 'error');
+    } else if (!outside && closeIncident('fullscreenExit')) {
+        logEvent('Candidate returned to fullscreen mode.', 'info');
+    }
+    updateBrowserStatus();
+}
+
+// Copy, cut, paste and the context menu are recorded as instant incidents,
+// and blocked if the policy says so
+function handleClipboardEvent(event) {
+    const action = event.type === 'contextmenu' ? 'context menu' : event.type;
+    const blocked = detectionPolicy.settings.browser.blockClipboard;
+    if (blocked) {
+        event.preventDefault();
+    }
+    
+    const now = new Date();
+    openIncident('clipboard', 'clipboard', now, { label: action });
+    closeIncident('clipboard', now);
+    logEvent(`Clipboard use detected (${action})${blocked ? ' and blocked' : ''}.`, 'error');
+}
+
+function handleWindowResize() {
+    clearTimeout(browserMonitor.resizeTimer);
+    browserMonitor.resizeTimer = setTimeout(checkWindowSize, RESIZE_SETTLE_MS);
+}
+
+// The window counts as resized while it covers less of the screen than the
+// policy's resizeThreshold allows, e.g. with another window next to it
+function checkWindowSize() {
+    const { resizeThreshold } = detectionPolicy.settings.browser;
+    const screenArea = window.screen.availWidth * window.screen.availHeight;
+    const windowArea = window.outerWidth * window.outerHeight;
+    const shrunk = screenArea > 0 && windowArea < screenArea * (1 - resizeThreshold);
+    
+    if (shrunk && openIncident('windowResize', 'windowResize', new Date())) {
+        logEvent(`Browser window resized to ${window.outerWidth}x${window.outerHeight} on a ${window.screen.availWidth}x${window.screen.availHeight} screen.`, 'warning');
+        showNotification('Please keep the interview window maximized.', 'error');
+    } else if (!shrunk && closeIncident('windowResize')) {
+        logEvent('Browser window restored.', 'info');
+    }
+    updateBrowserStatus();
+}
+
+function checkDisplays() {
+    if (window.screen.isExtended && openIncident('secondDisplay', 'secondDisplay', new Date())) {
+        logEvent('A second display is connected!', 'error');
+        showNotification('Please disconnect additional displays.', 'error');
+    } else if (!window.screen.isExtended && closeIncident('secondDisplay')) {
+        logEvent('Second display disconnected.', 'info');
+    }
+    updateBrowserStatus();
+}
+
+// Show the most serious browser state and share it with proctors
+function updateBrowserStatus() {
+    const state = browserMonitor.awaySince ? 'away' :
+        openIncidents.fullscreenExit ? 'not-fullscreen' :
+        openIncidents.screenShareStopped ? 'screen-share-stopped' :
+        openIncidents.secondDisplay ? 'second-display' :
+        openIncidents.windowResize ? 'resized' : 'focused';
+    if (state === browserMonitor.state) return;
+    
+    browserMonitor.state = state;
+    const [text, level] = BROWSER_STATUS[state];
+    const element = document.getElementById('browser-status');
+    element.textContent = text;
+    element.className = `status-indicator status-${level}`;
+    setLiveStatus({ browser: state });
+}
+
 // Handle case when no face is detected
 function handleNoFaceDetected(now) {
     // Start timer if not already started
@@ -578,16 +2131,14 @@ function handleNoFaceDetected(now) {
         return;
     }
     
-    // Check if no face for more than 10 seconds
+    // Check if no face for longer than the policy allows
     const noFaceDuration = (now - noFaceStartTime) / 1000;
+    const { noFaceSeconds } = detectionPolicy.settings.face;
     
-    if (noFaceDuration > 8 && noFaceCount === 0) {
-        noFaceCount++;
-        updateStatusIndicators();
-        logEvent('No face detected for more than 10 seconds!', 'error');
-        showNotification('No face detected for 10+ seconds!', 'error');
-        // Reset timer to avoid multiple logs
-        noFaceStartTime = now;
+    // The incident covers the whole absence, from the first frame without a face
+    if (noFaceDuration > noFaceSeconds && openIncident('noFace', 'noFace', noFaceStartTime)) {
+        logEvent(`No face detected for more than ${noFaceSeconds} seconds!`, 'error');
+        showNotification(`No face detected for ${noFaceSeconds}+ seconds!`, 'error');
     }
 }
 
@@ -624,9 +2175,9 @@ function checkGazeDirection(face, now) {
     const eyeDistanceRatio = Math.min(normalizedRightDistance, normalizedLeftDistance) / 
                             Math.max(normalizedRightDistance, normalizedLeftDistance);
     
-    // More sensitive thresholds for better detection
-    const lookingAwayThreshold = 0.12; // 12% of face width (more sensitive)
-    const ratioThreshold = 0.7; // If ratio is below this, likely looking away
+    // Thresholds from the detection policy: eye-to-nose distance as a share
+    // of face width, and the eye distance ratio below which the candidate is likely looking away
+    const { lookAwayThreshold: lookingAwayThreshold, ratioThreshold, lookAwaySeconds } = detectionPolicy.settings.face;
     
     const isLookingAway = (normalizedRightDistance > lookingAwayThreshold && 
                           normalizedLeftDistance > lookingAwayThreshold) || 
@@ -655,19 +2206,24 @@ function checkGazeDirection(face, now) {
         
         const lookingAwayDuration = (now - lookingAwayStartTime) / 1000;
         
-        if (lookingAwayDuration > 2) { // Reduced from 5 to 2 seconds for quicker detection
-            lookAwayCount++;
-            updateStatusIndicators();
-            logEvent(`Candidate looked away for more than 2 seconds! (${lookAwayCount} times)`, 'warning');
-            showNotification('Candidate looked away for 2+ seconds!', 'warning');
-            lookingAwayStartTime = now; // Reset timer
+        // One incident per look away, from when it started; the share of
+        // recent frames looking away is its confidence
+        if (lookingAwayDuration > lookAwaySeconds) {
+            const confidence = lookingAwayFrames / GAZE_HISTORY_LENGTH;
+            if (openIncident('lookAway', 'lookAway', lookingAwayStartTime, { confidence })) {
+                const { lookAwayCount } = Incidents.countIncidents(incidents).focusIssues;
+                logEvent(`Candidate looked away for more than ${lookAwaySeconds} seconds! (${lookAwayCount} times)`, 'warning');
+                showNotification(`Candidate looked away for ${lookAwaySeconds}+ seconds!`, 'warning');
+            }
             return true;
         }
     } else {
         // User is looking at screen
         if (lookingAwayStartTime !== null) {
-            const lookedAwayDuration = (now - lookingAwayStartTime) / 1000;
-            if (lookedAwayDuration > 1) {
+            const incident = closeIncident('lookAway', now);
+            if (incident) {
+                logEvent(`Candidate returned to looking at screen after ${Incidents.formatIncidentDuration(incident.duration)}.`, 'success');
+            } else if ((now - lookingAwayStartTime) / 1000 > 1) {
                 logEvent('Candidate returned to looking at screen.', 'success');
             }
             lookingAwayStartTime = null;
@@ -731,35 +2287,102 @@ function drawFaceLandmarks(face) {
     });
 }
 
-// Start object detection - FASTER version (0.5 seconds)
-function startObjectDetection() {
-    logEvent('Object detection initialized. Monitoring for prohibited items...', 'info');
-    
-    // Run object detection every 0.5 seconds (was 2 seconds)
-    objectDetectionInterval = setInterval(async () => {
-        if (!isInterviewRunning) return;
-        
-        try {
-            const predictions = await objectDetectionModel.detect(videoElement);
-            processObjectDetectionResults(predictions);
-        } catch (error) {
-            console.error('Error in object detection:', error);
-        }
-    }, 500); // Changed from 2000 to 500 ms
-}
-
 // Process object detection results
 function processObjectDetectionResults(predictions) {
-    // Filter for prohibited items only
+    // Filter for the policy's prohibited items only
+    const { prohibitedItems: prohibitedClasses, minConfidence } = detectionPolicy.settings.objects;
     const prohibitedItems = predictions.filter(prediction => 
-        PROHIBITED_ITEMS.includes(prediction.class) && prediction.score > 0.6
+        prohibitedClasses.includes(prediction.class) && prediction.score > minConfidence
     );
     
+    // Tell proctors which prohibited items are currently in view
+    setLiveStatus({ objects: [...new Set(prohibitedItems.map(item => item.class))] });
+    
     // Draw bounding boxes and process detections
-    prohibitedItems.forEach(item => {
-        drawObjectDetectionBox(item);
-        handleProhibitedItemDetection(item);
+    const now = new Date();
+    prohibitedItems.forEach(drawObjectDetectionBox);
+    trackProhibitedItems(prohibitedItems, now);
+}
+
+// Match this frame's detections to the tracked items. A detection continues
+// the tracked item of the same class whose box it overlaps most; a detection
+// that overlaps none continues an unmatched item of its class (it moved
+// quickly), otherwise it is a new item. Items not seen for longer than the
+// policy's grace period are no longer tracked and their incidents end.
+function trackProhibitedItems(items, now) {
+    const pairs = [];
+    items.forEach((item, itemIndex) => {
+        trackedObjects.forEach(track => {
+            const overlap = track.class === item.class ? boxOverlap(track.bbox, item.bbox) : 0;
+            if (overlap >= TRACK_MIN_OVERLAP) {
+                pairs.push({ itemIndex, track, overlap });
+            }
+        });
+    });
+    pairs.sort((a, b) => b.overlap - a.overlap);
+    
+    const matches = new Map();
+    pairs.forEach(({ itemIndex, track }) => {
+        if (!matches.has(itemIndex) && ![...matches.values()].includes(track)) {
+            matches.set(itemIndex, track);
+        }
+    });
+    items.forEach((item, itemIndex) => {
+        if (matches.has(itemIndex)) return;
+        const track = trackedObjects.find(candidate =>
+            candidate.class === item.class && ![...matches.values()].includes(candidate));
+        if (track) {
+            matches.set(itemIndex, track);
+        }
+    });
+    
+    items.forEach((item, itemIndex) => {
+        let track = matches.get(itemIndex);
+        if (!track) {
+            track = { id: nextTrackId++, class: item.class };
+            trackedObjects.push(track);
+        }
+        track.bbox = item.bbox;
+        track.lastSeenAt = now;
+        handleProhibitedItemDetection(track, item, now);
+    });
+    
+    const graceMs = detectionPolicy.settings.objects.graceSeconds * 1000;
+    endObjectTracks(trackedObjects.filter(track => now - track.lastSeenAt > graceMs));
+}
+
+// Stop tracking items and end their incidents when they were last seen
+function endObjectTracks(tracks) {
+    tracks.forEach(track => {
+        const incident = closeIncident(`object:${track.id}`, track.lastSeenAt);
+        if (incident) {
+            logEvent(`${itemDescription(incident.type, incident.label)} no longer detected (in view for ${Incidents.formatIncidentDuration(incident.duration)}).`, 'info');
+        }
     });
+    trackedObjects = trackedObjects.filter(track => !tracks.includes(track));
+}
+
+// Intersection over union of two [x, y, width, height] boxes (0-1)
+function boxOverlap(a, b) {
+    const width = Math.min(a[0] + a[2], b[0] + b[2]) - Math.max(a[0], b[0]);
+    const height = Math.min(a[1] + a[3], b[1] + b[3]) - Math.max(a[1], b[1]);
+    if (width <= 0 || height <= 0) return 0;
+    const intersection = width * height;
+    return intersection / (a[2] * a[3] + b[2] * b[3] - intersection);
+}
+
+// Incident type of a prohibited item class: phones and books have their own,
+// every other prohibited class counts as an electronic device
+function itemIncidentType(itemClass) {
+    if (itemClass === 'cell phone') return 'phone';
+    if (itemClass === 'book') return 'book';
+    return 'device';
+}
+
+function itemDescription(type, itemClass) {
+    if (type === 'phone') return 'Mobile phone';
+    if (type === 'book') return 'Book';
+    return `Electronic device (${itemClass})`;
 }
 
 // Draw object detection bounding boxes
@@ -783,27 +2406,23 @@ function drawObjectDetectionBox(detection) {
     canvasCtx.fillText(label, x + 5, y - 5);
 }
 
-// Handle prohibited item detection
-function handleProhibitedItemDetection(item) {
-    const itemClass = item.class;
-    const confidence = item.score;
-    
-    // Update counters based on item type
-    if (itemClass === 'cell phone') {
-        phoneCount++;
-        logEvent(`Mobile phone detected! (${Math.round(confidence * 100)}% confidence)`, 'error');
-        showNotification('Mobile phone detected!', 'error');
-    } else if (itemClass === 'book') {
-        bookCount++;
-        logEvent(`Book detected! (${Math.round(confidence * 100)}% confidence)`, 'error');
-        showNotification('Book detected!', 'error');
-    } else if (['laptop', 'keyboard', 'mouse', 'remote'].includes(itemClass)) {
-        deviceCount++;
-        logEvent(`Electronic device (${itemClass}) detected! (${Math.round(confidence * 100)}% confidence)`, 'error');
-        showNotification(`Electronic device (${itemClass}) detected!`, 'error');
+// Handle a detection of a tracked prohibited item: the first one opens the
+// item's incident, later ones keep the highest confidence it was seen with
+function handleProhibitedItemDetection(track, item, now) {
+    const type = itemIncidentType(item.class);
+    const started = openIncident(`object:${track.id}`, type, now, { confidence: item.score, label: item.class });
+    if (started) {
+        const description = itemDescription(type, item.class);
+        logEvent(`${description} detected! (${Math.round(item.score * 100)}% confidence)`, 'error');
+        showNotification(`${description} detected!`, 'error');
     }
-    
-    updateStatusIndicators();
+}
+
+// Total duration of each incident type for the local reports, e.g. " (3m 00s total)"
+function incidentTotalsText(reportIncidents) {
+    const summary = Incidents.summarizeIncidents(reportIncidents);
+    return Object.fromEntries(Object.entries(summary).map(([type, { count, duration }]) =>
+        [type, count ? ` (${Incidents.formatIncidentDuration(duration)} total)` : '']));
 }
 
 // Generate and download report as PDF
@@ -812,33 +2431,31 @@ async function downloadReport() {
     showNotification('Generating comprehensive PDF report...');
     
     // Calculate final score
-    const deductions = (lookAwayCount * 2) + (noFaceCount * 5) + (multipleFacesCount * 10) +
-                      (phoneCount * 10) + (bookCount * 8) + (deviceCount * 7);
-    const integrityScore = Math.max(0, 100 - deductions);
+    const integrityScore = currentIntegrityScore();
     
     // Prepare report data
     const reportData = {
-        candidateName: "Test Candidate",
+        candidateName: getCandidateName(),
         interviewDuration: document.getElementById('duration').textContent,
         startTime: startTime.toISOString(),
         endTime: new Date().toISOString(),
-        focusIssues: {
-            lookAwayCount: lookAwayCount,
-            noFaceCount: noFaceCount,
-            multipleFacesCount: multipleFacesCount
-        },
-        prohibitedItems: {
-            phonesDetected: phoneCount,
-            booksDetected: bookCount,
-            devicesDetected: deviceCount
-        },
+        // The server derives the counters from the incidents; they are
+        // included for the local PDF and text reports
+        ...Incidents.countIncidents(incidents),
+        incidents: incidents,
+        identityVerification: identityVerificationSummary(),
+        detectionPerformance: detectionPerformanceSummary(),
         integrityScore: integrityScore,
-        events: eventLog
+        events: eventLog,
+        // Link this interview's webcam and screen recordings to the report
+        videoIds: [videoUpload, ...screenUploads].filter(upload => upload && upload.id).map(upload => upload.id),
+        sessionId: interviewSession ? interviewSession.id : undefined,
+        policyId: detectionPolicy ? detectionPolicy.id : undefined
     };
     
     try {
         // Save report to backend
-        const response = await fetch(`${API_BASE_URL}/reports`, {
+        const response = await apiFetch(`${API_BASE_URL}/reports`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -849,9 +2466,22 @@ async function downloadReport() {
         const result = await response.json();
         
         if (response.ok) {
+            // Use the score computed by the server so the PDF matches the stored report
+            reportData.integrityScore = result.integrityScore;
             logEvent('Report saved successfully. Generating PDF...', 'success');
-            // Generate and download PDF
-            await generatePDFReport(reportData);
+            // The scheduled session is now completed and cannot be run again
+            if (interviewSession) {
+                interviewSession.status = 'completed';
+                document.getElementById('start-btn').disabled = true;
+            }
+            // Download the PDF rendered by the server, the same one reviewers get
+            try {
+                await downloadServerPDF(result.id);
+            } catch (error) {
+                console.error('Error downloading server PDF:', error);
+                logEvent('Server PDF unavailable. Generating local PDF...', 'warning');
+                await generatePDFReport(reportData);
+            }
         } else {
             throw new Error(result.error || 'Failed to save report');
         }
@@ -863,16 +2493,34 @@ async function downloadReport() {
     }
 }
 
-// Generate a unique ID
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+// Download the PDF of a saved report, rendered on the server from pdf-template.html
+async function downloadServerPDF(reportId) {
+    const response = await apiFetch(`${API_BASE_URL}/reports/${reportId}/pdf`);
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || 'Failed to generate PDF');
+    }
+
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `proctoring-report-${reportId}.pdf`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    logEvent('PDF report downloaded successfully.', 'success');
+    showNotification('PDF report downloaded successfully!', 'success');
 }
 
-// Generate PDF report - UPDATED VERSION
-// Generate PDF report - SIMPLIFIED RELIABLE VERSION
+// Generate PDF report in the browser, used when the report could not be
+// saved or the server could not render it
 async function generatePDFReport(reportData) {
     try {
         showNotification('Creating PDF report...', 'info');
+        const totals = incidentTotalsText(reportData.incidents);
         
         // Create a new jsPDF instance
         const pdf = new jspdf.jsPDF({
@@ -910,6 +2558,8 @@ async function generatePDFReport(reportData) {
         pdf.text(`Start: ${new Date(reportData.startTime).toLocaleString()}`, margin, y);
         y += 7;
         pdf.text(`End: ${new Date(reportData.endTime).toLocaleString()}`, margin, y);
+        y += 7;
+        pdf.text(`Detection policy: ${detectionPolicy ? detectionPolicy.name : 'Unknown'}`, margin, y);
         y += 15;
         
         // Integrity Score
@@ -924,7 +2574,7 @@ async function generatePDFReport(reportData) {
         
         pdf.setFontSize(12);
         pdf.setTextColor(0, 0, 0);
-        pdf.text(getScoreDescription(reportData.integrityScore), 105, y, { align: 'center' });
+        pdf.text(Scoring.getScoreDescription(reportData.integrityScore), 105, y, { align: 'center' });
         y += 20;
         
         // Focus Analysis
@@ -933,11 +2583,13 @@ async function generatePDFReport(reportData) {
         y += 10;
         
         pdf.setFontSize(12);
-        pdf.text(`Times Looked Away: ${reportData.focusIssues.lookAwayCount}`, margin, y);
+        pdf.text(`Times Looked Away: ${reportData.focusIssues.lookAwayCount}${totals.lookAway}`, margin, y);
+        y += 7;
+        pdf.text(`No Face Detected: ${reportData.focusIssues.noFaceCount}${totals.noFace}`, margin, y);
         y += 7;
-        pdf.text(`No Face Detected: ${reportData.focusIssues.noFaceCount}`, margin, y);
+        pdf.text(`Multiple Faces: ${reportData.focusIssues.multipleFacesCount}${totals.multipleFaces}`, margin, y);
         y += 7;
-        pdf.text(`Multiple Faces: ${reportData.focusIssues.multipleFacesCount}`, margin, y);
+        pdf.text(`Identity Mismatches: ${reportData.focusIssues.identityMismatchCount}${totals.identityMismatch}`, margin, y);
         y += 15;
         
         // Object Detection
@@ -946,11 +2598,47 @@ async function generatePDFReport(reportData) {
         y += 10;
         
         pdf.setFontSize(12);
-        pdf.text(`Mobile Phones: ${reportData.prohibitedItems.phonesDetected}`, margin, y);
+        pdf.text(`Mobile Phones: ${reportData.prohibitedItems.phonesDetected}${totals.phone}`, margin, y);
         y += 7;
-        pdf.text(`Books/Notes: ${reportData.prohibitedItems.booksDetected}`, margin, y);
+        pdf.text(`Books/Notes: ${reportData.prohibitedItems.booksDetected}${totals.book}`, margin, y);
         y += 7;
-        pdf.text(`Other Devices: ${reportData.prohibitedItems.devicesDetected}`, margin, y);
+        pdf.text(`Other Devices: ${reportData.prohibitedItems.devicesDetected}${totals.device}`, margin, y);
+        y += 15;
+        
+        // Audio Analysis (continues on a new page when the first is full)
+        if (y > 220) {
+            pdf.addPage();
+            y = margin;
+        }
+        pdf.setFontSize(16);
+        pdf.text('Audio Analysis', margin, y);
+        y += 10;
+        
+        pdf.setFontSize(12);
+        pdf.text(`Speech During Silent Periods: ${reportData.audioIssues.speechCount}${totals.speech}`, margin, y);
+        y += 7;
+        pdf.text(`Multiple Voices: ${reportData.audioIssues.multipleVoicesCount}${totals.multipleVoices}`, margin, y);
+        y += 7;
+        pdf.text(`Whispering: ${reportData.audioIssues.whisperingCount}${totals.whispering}`, margin, y);
+        y += 15;
+        
+        // Browser Activity
+        pdf.setFontSize(16);
+        pdf.text('Browser Activity', margin, y);
+        y += 10;
+        
+        pdf.setFontSize(12);
+        pdf.text(`Left the Interview Tab: ${reportData.browserIssues.tabSwitchCount}${totals.tabSwitch}`, margin, y);
+        y += 7;
+        pdf.text(`Left Fullscreen: ${reportData.browserIssues.fullscreenExitCount}${totals.fullscreenExit}`, margin, y);
+        y += 7;
+        pdf.text(`Copy/Paste/Context Menu: ${reportData.browserIssues.clipboardCount}`, margin, y);
+        y += 7;
+        pdf.text(`Window Resized: ${reportData.browserIssues.windowResizeCount}${totals.windowResize}`, margin, y);
+        y += 7;
+        pdf.text(`Second Display: ${reportData.browserIssues.secondDisplayCount}${totals.secondDisplay}`, margin, y);
+        y += 7;
+        pdf.text(`Screen Sharing Stopped: ${reportData.browserIssues.screenShareStoppedCount}${totals.screenShareStopped}`, margin, y);
         y += 15;
         
         // Recommendation
@@ -959,7 +2647,7 @@ async function generatePDFReport(reportData) {
         y += 8;
         
         pdf.setFontSize(12);
-        const recommendation = getRecommendation(reportData.integrityScore);
+        const recommendation = Scoring.getRecommendation(reportData.integrityScore);
         // Split long text into multiple lines
         const splitText = pdf.splitTextToSize(recommendation, 170);
         pdf.text(splitText, margin, y);
@@ -991,6 +2679,7 @@ async function generatePDFReport(reportData) {
 
 // Fallback to text report if PDF generation fails
 function downloadLocalReport(reportData) {
+    const totals = incidentTotalsText(reportData.incidents);
     const reportContent = `
 INTERVIEWGUARD PRO - PROCTORING REPORT
 =======================================
@@ -1002,23 +2691,44 @@ Interview Date: ${new Date().toLocaleDateString()}
 Start Time: ${new Date(reportData.startTime).toLocaleTimeString()}
 End Time: ${new Date(reportData.endTime).toLocaleTimeString()}
 Duration: ${reportData.interviewDuration}
+Detection Policy: ${detectionPolicy ? detectionPolicy.name : 'Unknown'}
 
 Assessment Summary:
 -------------------
 Integrity Score: ${reportData.integrityScore}/100
-${getScoreDescription(reportData.integrityScore)}
+${Scoring.getScoreDescription(reportData.integrityScore)}
 
 Focus Issues:
 -------------
-- Looking Away: ${reportData.focusIssues.lookAwayCount} instances
-- No Face Detected: ${reportData.focusIssues.noFaceCount} instances  
-- Multiple Faces: ${reportData.focusIssues.multipleFacesCount} instances
+- Looking Away: ${reportData.focusIssues.lookAwayCount} instances${totals.lookAway}
+- No Face Detected: ${reportData.focusIssues.noFaceCount} instances${totals.noFace}
+- Multiple Faces: ${reportData.focusIssues.multipleFacesCount} instances${totals.multipleFaces}
+- Identity Mismatches: ${reportData.focusIssues.identityMismatchCount} instances${totals.identityMismatch}
 
 Prohibited Items Detected:
 --------------------------
-- Mobile Phones: ${reportData.prohibitedItems.phonesDetected}
-- Books/Notes: ${reportData.prohibitedItems.booksDetected}
-- Other Devices: ${reportData.prohibitedItems.devicesDetected}
+- Mobile Phones: ${reportData.prohibitedItems.phonesDetected}${totals.phone}
+- Books/Notes: ${reportData.prohibitedItems.booksDetected}${totals.book}
+- Other Devices: ${reportData.prohibitedItems.devicesDetected}${totals.device}
+
+Audio Analysis:
+---------------
+- Speech During Silent Periods: ${reportData.audioIssues.speechCount}${totals.speech}
+- Multiple Voices: ${reportData.audioIssues.multipleVoicesCount}${totals.multipleVoices}
+- Whispering: ${reportData.audioIssues.whisperingCount}${totals.whispering}
+
+Browser Activity:
+-----------------
+- Left the Interview Tab: ${reportData.browserIssues.tabSwitchCount}${totals.tabSwitch}
+- Left Fullscreen: ${reportData.browserIssues.fullscreenExitCount}${totals.fullscreenExit}
+- Copy/Paste/Context Menu: ${reportData.browserIssues.clipboardCount}
+- Window Resized: ${reportData.browserIssues.windowResizeCount}${totals.windowResize}
+- Second Display: ${reportData.browserIssues.secondDisplayCount}${totals.secondDisplay}
+- Screen Sharing Stopped: ${reportData.browserIssues.screenShareStoppedCount}${totals.screenShareStopped}
+
+Detection Performance:
+----------------------
+${detectionPerformanceLines(reportData.detectionPerformance)}
 
 Detailed Event Log:
 -------------------
@@ -1026,7 +2736,7 @@ ${reportData.events.map(event => `[${event.timestamp}] ${event.message}`).join('
 
 Final Recommendation:
 --------------------
-${getRecommendation(reportData.integrityScore)}
+${Scoring.getRecommendation(reportData.integrityScore)}
 
 Report Generated: ${new Date().toLocaleString()}
 =======================================
@@ -1044,29 +2754,4 @@ InterviewGuard Pro - AI-Powered Proctoring System
     URL.revokeObjectURL(url);
     
     logEvent('Local report downloaded successfully.', 'success');
-}
-
-// Helper function to get score description
-function getScoreDescription(score) {
-    if (score >= 90) return "EXCELLENT - No significant issues detected";
-    if (score >= 70) return "GOOD - Minor focus issues observed";
-    if (score >= 50) return "FAIR - Several focus and integrity concerns";
-    return "POOR - Significant integrity issues detected";
-}
-
-// Helper function to get recommendation
-function getRecommendation(score) {
-    if (score >= 80) return "RECOMMENDED - Candidate maintained good focus and integrity throughout the interview.";
-    if (score >= 60) return "CONDITIONALLY RECOMMENDED - Some focus issues were observed but may not disqualify the candidate.";
-    return "NOT RECOMMENDED - Significant integrity issues suggest the interview may not reflect the candidate's authentic abilities.";
-}
-
-function calculateFocusScore(focusIssues) {
-    const deductions = (focusIssues.lookAwayCount * 2) + (focusIssues.noFaceCount * 5) + (focusIssues.multipleFacesCount * 10);
-    return Math.max(0, 100 - deductions);
-}
-
-function calculateObjectScore(prohibitedItems) {
-    const deductions = (prohibitedItems.phonesDetected * 10) + (prohibitedItems.booksDetected * 8) + (prohibitedItems.devicesDetected * 7);
-    return Math.max(0, 100 - deductions);
 }
\ No newline at end of file
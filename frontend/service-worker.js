@@ -0,0 +1,137 @@
+// frontend/service-worker.js
+// Service worker for the interview page. It keeps the page's own files and
+// the pinned libraries, fonts and models under vendor/ in the cache, so a
+// reload in the middle of an interview does not have to download them again
+// and still works when the network is slow or drops out.
+// - vendor/ files are pinned, so they come from the cache first
+// - the app's own files come from the network first, so updates apply on
+//   the next load, with the cached copy as the fallback
+// - API requests are never cached; the interview page keeps the answers it
+//   needs to continue after a reload in sessionStorage (see fetchRemembered)
+// Bump CACHE_VERSION when the pinned libraries or models change.
+const CACHE_VERSION = 2;
+const APP_CACHE = `interviewguard-app-v${CACHE_VERSION}`;
+const VENDOR_CACHE = `interviewguard-vendor-v${CACHE_VERSION}`;
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'login.html',
+    'styles.css',
+    'api.js',
+    'scoring.js',
+    'incidents.js',
+    'script.js',
+    'detection-worker.js'
+];
+
+// Cached when the service worker is installed, so files the first visit
+// loaded before the worker was in control are cached too. The weight files
+// of the detection models are listed in their model.json.
+const VENDOR_FILES = [
+    'vendor/tfjs/tf.min.js',
+    'vendor/blazeface/blazeface.min.umd.js',
+    'vendor/coco-ssd/coco-ssd.min.js',
+    'vendor/face-api/face-api.js',
+    'vendor/jspdf/jspdf.umd.min.js',
+    'vendor/html2canvas/html2canvas.min.js',
+    'vendor/chartjs/chart.umd.js',
+    'vendor/fontawesome/css/all.min.css',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    ...[300, 400, 500, 600, 700].flatMap(weight => [
+        `vendor/poppins/${weight}.css`,
+        `vendor/poppins/files/poppins-latin-${weight}-normal.woff2`
+    ]),
+    'vendor/models/face-api/tiny_face_detector_model-weights_manifest.json',
+    'vendor/models/face-api/tiny_face_detector_model.bin',
+    'vendor/models/face-api/face_landmark_68_tiny_model-weights_manifest.json',
+    'vendor/models/face-api/face_landmark_68_tiny_model.bin',
+    'vendor/models/face-api/face_recognition_model-weights_manifest.json',
+    'vendor/models/face-api/face_recognition_model.bin'
+];
+const GRAPH_MODELS = ['vendor/models/blazeface/model.json', 'vendor/models/coco-ssd/model.json'];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const appCache = await caches.open(APP_CACHE);
+        await appCache.addAll(APP_FILES);
+        // A missing vendor file (e.g. models not downloaded yet) must not stop
+        // the rest from being cached; the page reports the missing model
+        const vendorCache = await caches.open(VENDOR_CACHE);
+        await Promise.allSettled([
+            ...VENDOR_FILES.map(file => vendorCache.add(file)),
+            ...GRAPH_MODELS.map(modelUrl => cacheGraphModel(vendorCache, modelUrl))
+        ]);
+        await self.skipWaiting();
+    })());
+});
+
+// Remove the caches of earlier versions
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('interviewguard-') && ![APP_CACHE, VENDOR_CACHE].includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    if (url.pathname.startsWith('/vendor/')) {
+        event.respondWith(cacheFirst(request));
+    } else {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+// Cache a graph model's model.json and the weight files it lists
+async function cacheGraphModel(cache, modelUrl) {
+    const response = await fetch(modelUrl);
+    if (!response.ok) {
+        throw new Error(`${modelUrl} returned ${response.status}`);
+    }
+    const { weightsManifest = [] } = await response.clone().json();
+    const base = new URL(modelUrl, self.location.href);
+    await cache.addAll(weightsManifest.flatMap(group => group.paths).map(file => new URL(file, base).href));
+    await cache.put(modelUrl, response);
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(VENDOR_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// The interview page is opened with its join link (?session=...), so pages
+// are cached without their query string
+async function networkFirst(request) {
+    const url = new URL(request.url);
+    const key = request.mode === 'navigate' ? url.origin + url.pathname : request;
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(APP_CACHE);
+            await cache.put(key, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(key);
+        if (cached) return cached;
+        throw error;
+    }
+}